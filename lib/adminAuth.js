@@ -0,0 +1,38 @@
+// =========================================
+// 🔐 Admin authentication
+// Admin routes require "Authorization: Bearer <ADMIN_TOKEN>"; /metrics
+// requires "Bearer <METRICS_TOKEN>" when that is set.
+// =========================================
+
+import crypto from "crypto";
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const bearer = (req) => {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+};
+
+export function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(503).json({ error: "Admin API disabled (ADMIN_TOKEN not set)" });
+
+  const supplied = bearer(req);
+  if (!supplied || !safeEqual(supplied, token))
+    return res.status(401).json({ error: "Unauthorised" });
+
+  next();
+}
+
+// Open when METRICS_TOKEN isn't set (a scraper on a private network)
+export function requireMetricsToken(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return next();
+  const supplied = bearer(req);
+  if (!supplied || !safeEqual(supplied, token)) return res.status(401).json({ error: "Unauthorised" });
+  next();
+}
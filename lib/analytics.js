@@ -0,0 +1,281 @@
+// =========================================
+// 📊 Chat Analytics
+// Aggregates chat events from transcripts.jsonl plus the legacy
+// support_log.jsonl and unmatched_faqs.log into admin reports.
+//
+// Event: { time, message, source, match, faqId, conversationId, legacy }
+//   match = exact | auto | options | branch | flow | cache | pages | llm | none | lead | quote
+//   (null for legacy FAQ lines, which did not record how the FAQ was picked)
+// =========================================
+
+import fs from "fs";
+import { readJSONLines } from "./fileStore.js";
+import { tokenize, stem, editDistance, STOP_WORDS } from "./ranking.js";
+import { branchTargets, isLinkTarget } from "./faqTree.js";
+
+// ------------------------------------------------------
+// 📥 Events
+// ------------------------------------------------------
+const LEGACY_SOURCES = {
+  openai: { source: "llm", match: "llm" },
+  cache: { source: "cache", match: "cache" },
+  faq: { source: "faq", match: null },
+  faqs: { source: "faq", match: null },
+};
+
+function readSupportLog(file) {
+  return readJSONLines(file).map((r) => ({
+    time: r.time,
+    message: r.message || "",
+    ...(LEGACY_SOURCES[String(r.source).toLowerCase()] || { source: "unknown", match: null }),
+    faqId: null,
+    conversationId: null,
+    legacy: true,
+  }));
+}
+
+// "[2025-11-02T15:02:20.969Z] [::1] cash drawer not opening"
+function readUnmatchedLog(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .map((line) => line.match(/^\[([^\]]+)\]\s*(?:\[[^\]]*\]\s*)?(.*)$/))
+    .filter((m) => m && m[2].trim())
+    .map((m) => ({
+      time: m[1],
+      message: m[2].trim(),
+      source: "none",
+      match: "none",
+      faqId: null,
+      conversationId: null,
+      legacy: true,
+    }));
+}
+
+export function loadEvents({ transcriptLog, supportLogFile, unmatchedFile }) {
+  const turns = transcriptLog.turns().map((t) => ({
+    time: t.time,
+    message: t.message || "",
+    source: t.source,
+    match: t.match ?? null,
+    faqId: t.faqId ?? null,
+    currentId: t.currentId ?? null,
+    choice: t.choice ?? null,
+    conversationId: t.conversationId,
+    legacy: false,
+  }));
+  return [...readSupportLog(supportLogFile), ...readUnmatchedLog(unmatchedFile), ...turns].sort((a, b) =>
+    a.time < b.time ? -1 : a.time > b.time ? 1 : 0
+  );
+}
+
+export function filterByDate(events, { from = null, to = null } = {}) {
+  return events.filter((e) => {
+    const t = Date.parse(e.time);
+    return (from === null || t >= from) && (to === null || t <= to);
+  });
+}
+
+// ------------------------------------------------------
+// 🔝 Top queries
+// ------------------------------------------------------
+export const normaliseQuery = (text) => tokenize(text).join(" ");
+
+// Yes/no answers, pill clicks and what goes into the lead, quote and contact
+// forms are conversation plumbing, not queries
+const PLUMBING = ["branch", "flow", "lead", "quote", "handoff"];
+const isQuery = (e) => !PLUMBING.includes(e.match) && normaliseQuery(e.message).length > 0;
+
+function countQueries(events) {
+  const counts = new Map();
+  for (const e of events) {
+    const key = normaliseQuery(e.message);
+    const hit = counts.get(key) || { query: key, count: 0, sources: {}, lastSeen: e.time };
+    hit.count++;
+    hit.sources[e.source] = (hit.sources[e.source] || 0) + 1;
+    if (e.time > hit.lastSeen) hit.lastSeen = e.time;
+    counts.set(key, hit);
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count || (a.lastSeen < b.lastSeen ? 1 : -1));
+}
+
+export function topQueries(events, { limit = 20 } = {}) {
+  return countQueries(events.filter(isQuery)).slice(0, limit);
+}
+
+// ------------------------------------------------------
+// 🧩 Unmatched queries, clustered by similarity
+// ------------------------------------------------------
+const queryTerms = (text) => [...new Set(tokenize(text).filter((w) => !STOP_WORDS.has(w)).map(stem))];
+
+// Terms match exactly, or within one edit for longer words ("blobby"/"blobbie")
+const sameTerm = (a, b) => a === b || (a.length >= 5 && b.length >= 5 && editDistance(a, b, 1) <= 1);
+
+function similarity(a, b) {
+  if (!a.length || !b.length) return 0;
+  const shared = a.filter((t) => b.some((u) => sameTerm(t, u))).length;
+  return shared / (a.length + b.length - shared);
+}
+
+export function clusterUnmatched(events, { threshold = 0.5, limit = 20 } = {}) {
+  const queries = countQueries(events.filter((e) => isQuery(e) && e.match === "none"));
+  const clusters = [];
+
+  // Most frequent phrasing first so it becomes the cluster label
+  for (const q of queries) {
+    const terms = queryTerms(q.query);
+    const cluster = terms.length && clusters.find((c) => similarity(terms, c.terms) >= threshold);
+    if (cluster) {
+      cluster.count += q.count;
+      cluster.queries.push({ query: q.query, count: q.count });
+      if (q.lastSeen > cluster.lastSeen) cluster.lastSeen = q.lastSeen;
+    } else {
+      clusters.push({
+        label: q.query,
+        terms,
+        count: q.count,
+        lastSeen: q.lastSeen,
+        queries: [{ query: q.query, count: q.count }],
+      });
+    }
+  }
+
+  return {
+    total: queries.reduce((n, q) => n + q.count, 0),
+    clusters: clusters
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit)
+      .map(({ terms, ...c }) => c),
+  };
+}
+
+// ------------------------------------------------------
+// 📘 Hits per FAQ
+// ------------------------------------------------------
+export function faqHits(events, kb) {
+  const hits = new Map();
+  for (const e of events) {
+    if (!e.faqId) continue;
+    const id = String(e.faqId);
+    const hit = hits.get(id) || { id, count: 0, byMatch: {}, lastSeen: e.time };
+    hit.count++;
+    hit.byMatch[e.match || "unknown"] = (hit.byMatch[e.match || "unknown"] || 0) + 1;
+    if (e.time > hit.lastSeen) hit.lastSeen = e.time;
+    hits.set(id, hit);
+  }
+
+  const faqs = [...hits.values()]
+    .map((h) => {
+      const entry = kb.byId.get(h.id);
+      return { ...h, title: entry?.title ?? null, category: entry?.category ?? null, deleted: !entry };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  return { faqs, neverShown: kb.entries.filter((e) => !hits.has(e.id)).map((e) => e.id) };
+}
+
+// ------------------------------------------------------
+// ⚖️ Search outcomes: auto-select vs options list vs no match
+// ------------------------------------------------------
+const OUTCOME = {
+  exact: "auto",
+  auto: "auto",
+  options: "options",
+  cache: "noMatch",
+  pages: "noMatch",
+  llm: "noMatch",
+  none: "noMatch",
+};
+
+export function outcomeRatios(events) {
+  const counts = { auto: 0, options: 0, noMatch: 0 };
+  const fallbacks = { cache: 0, pages: 0, llm: 0, none: 0 };
+  for (const e of events) {
+    const outcome = OUTCOME[e.match];
+    if (!outcome) continue;
+    counts[outcome]++;
+    if (outcome === "noMatch") fallbacks[e.match]++;
+  }
+  const total = counts.auto + counts.options + counts.noMatch;
+  const ratio = (n) => (total ? Math.round((n / total) * 1000) / 1000 : 0);
+  return {
+    total,
+    counts,
+    ratios: { auto: ratio(counts.auto), options: ratio(counts.options), noMatch: ratio(counts.noMatch) },
+    fallbacks,
+  };
+}
+
+// ------------------------------------------------------
+// 🌳 Drop-off per step in the decision trees
+// A step is "shown" when a reply left the visitor on its question; they
+// then pick a choice, use a flow command (back, start over, or an answer
+// that needed asking again), move on to another question, or leave.
+// ------------------------------------------------------
+function treeRoots(kb) {
+  const parent = new Map();
+  for (const entry of kb.entries)
+    for (const t of branchTargets(entry)) if (!isLinkTarget(t) && !parent.has(t)) parent.set(t, entry.id);
+
+  const rootOf = (id) => {
+    const seen = new Set();
+    while (parent.has(id) && !seen.has(id)) {
+      seen.add(id);
+      id = parent.get(id);
+    }
+    return id;
+  };
+  return rootOf;
+}
+
+export function treeDropOff(events, kb) {
+  const rootOf = treeRoots(kb);
+  const steps = new Map();
+  const step = (entry) => {
+    if (!steps.has(entry.id))
+      steps.set(entry.id, {
+        id: entry.id,
+        tree: rootOf(entry.id),
+        title: entry.title,
+        question: entry.next.question,
+        shown: 0,
+        answers: {},
+        commands: 0,
+        movedOn: 0,
+        left: 0,
+      });
+    return steps.get(entry.id);
+  };
+
+  const byConversation = new Map();
+  for (const e of events) {
+    if (e.legacy || !e.conversationId) continue;
+    if (!byConversation.has(e.conversationId)) byConversation.set(e.conversationId, []);
+    byConversation.get(e.conversationId).push(e);
+  }
+
+  for (const turns of byConversation.values()) {
+    turns.forEach((turn, i) => {
+      const entry = turn.faqId ? kb.byId.get(String(turn.faqId)) : null;
+      // Link and handoff endings log the asking entry's id but leave the flow
+      if (!entry?.next?.question || String(turn.currentId) !== entry.id) return;
+      const s = step(entry);
+      s.shown++;
+      const after = turns[i + 1];
+      if (!after) s.left++;
+      else if (after.match === "flow") s.commands++;
+      else if (after.match !== "branch") s.movedOn++;
+      else {
+        // Turns logged before choices were recorded were always yes/no
+        const answer = after.choice || ((after.message || "").toLowerCase().includes("yes") ? "Yes" : "No");
+        s.answers[answer] = (s.answers[answer] || 0) + 1;
+      }
+    });
+  }
+
+  const rate = (n, d) => (d ? Math.round((n / d) * 1000) / 1000 : 0);
+  return [...steps.values()]
+    .map((s) => ({ ...s, dropOffRate: rate(s.movedOn + s.left, s.shown) }))
+    .sort((a, b) => (a.tree === b.tree ? b.shown - a.shown : String(a.tree).localeCompare(String(b.tree))));
+}
@@ -0,0 +1,116 @@
+// =========================================
+// 🗃️ Answer Cache
+// Question → answer pairs keyed by a normalised form of the question
+// (stemmed, stop words dropped, word order ignored), so "printer not
+// working?" and "Printer working not" share one entry.
+//
+// Stored in support_cache.json. Plain string values are the original
+// hand-cached answers and never expire; generated answers are objects
+// with an expiry time. Questions go through `redact` before they are
+// looked up or stored, so no email address or phone number ends up a key.
+//
+// Every entry belongs to one tenant: generated ones are stored under
+// "<tenant>: <question>" with a `tenant` field, and the hand-cached answers
+// (and anything cached before tenants) belong to `defaultTenant`.
+// =========================================
+
+import fs from "fs";
+import { STOP_WORDS, stem, tokenize } from "./ranking.js";
+import { writeJSONAtomic } from "./fileStore.js";
+
+export function cacheKey(text) {
+  const terms = tokenize(text)
+    .filter((w) => !STOP_WORDS.has(w))
+    .map(stem);
+  return [...new Set(terms)].sort().join(" ");
+}
+
+export function createAnswerCache({
+  file,
+  ttlMs = 7 * 24 * 60 * 60 * 1000,
+  redact = (text) => text,
+  defaultTenant = "default",
+}) {
+  let raw = {};
+  try {
+    if (fs.existsSync(file)) raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error(`❌ Failed to read ${file}, starting with an empty answer cache:`, err.message);
+  }
+
+  // A stored entry as get() returns it – `id` is its key in the file
+  const read = (id) => {
+    const value = raw[id];
+    const entry = { id, question: id, tenant: defaultTenant };
+    return typeof value === "string" ? { ...entry, answer: value, pinned: true } : { ...entry, ...value };
+  };
+  const scoped = (tenant, question) => {
+    const key = cacheKey(question);
+    return key ? `${tenant}\n${key}` : null;
+  };
+
+  // tenant + normalised key → key in the file
+  const index = new Map();
+  for (const id of Object.keys(raw)) {
+    const { tenant, question } = read(id);
+    const key = scoped(tenant, question);
+    if (key) index.set(key, id);
+  }
+
+  const persist = () => writeJSONAtomic(file, raw);
+  const entries = () => Object.keys(raw).map(read);
+
+  return {
+    get(question, { tenant = defaultTenant } = {}) {
+      const key = scoped(tenant, redact(question));
+      const id = key && index.get(key);
+      if (!id) return null;
+
+      const entry = read(id);
+      if (entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now()) {
+        delete raw[id];
+        index.delete(key);
+        persist();
+        return null;
+      }
+      return entry;
+    },
+
+    set(asked, answer, { tenant = defaultTenant, ...meta } = {}) {
+      const question = redact(asked);
+      const key = scoped(tenant, question);
+      if (!key || !answer) return;
+      const previous = index.get(key);
+      if (previous && typeof raw[previous] === "string") return; // hand-written answers win
+      if (previous) delete raw[previous];
+
+      const now = Date.now();
+      const id = `${tenant}: ${question}`;
+      raw[id] = {
+        question,
+        tenant,
+        answer,
+        ...meta,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString(),
+      };
+      index.set(key, id);
+      persist();
+    },
+
+    size: () => index.size,
+    entries,
+
+    // Retention and erasure – drops the entries `test` matches → how many
+    remove(test) {
+      const gone = entries().filter(test);
+      for (const { id, tenant, question } of gone) {
+        delete raw[id];
+        const key = scoped(tenant, question);
+        if (index.get(key) === id) index.delete(key);
+      }
+      if (gone.length) persist();
+      return gone.length;
+    },
+  };
+}
@@ -0,0 +1,155 @@
+// =========================================
+// 🧾 Product Catalogue & Indicative Quotes
+// catalogue.json lists what we sell and when it goes into a quote:
+//   {
+//     "currency": "GBP",
+//     "note": "Indicative prices excluding VAT…",
+//     "addOns": [{ "id": "kds", "label": "Kitchen screens (KDS)", "aliases": ["kitchen"] }],
+//     "products": [{
+//       "id": "kds-screen", "name": "Kitchen display screen", "category": "hardware",
+//       "per": "till" | "site" | "venue",   ← quantity follows tills, sites or 1
+//       "quantity": 1,                      ← multiplies it (e.g. 2 handhelds per site)
+//       "oneOff": 649, "monthly": 0,
+//       "when": { "venueTypes": […], "minSites": 2, "maxSites": 1, "addOn": "kds" }
+//     }]
+//   }
+// A product without `when` is in every quote.
+// =========================================
+
+import fs from "fs";
+import { VENUE_TYPES } from "./leads.js";
+
+export const PER = ["till", "site", "venue"];
+export const PRODUCT_CATEGORIES = ["hardware", "software", "payments"];
+
+// ------------------------------------------------------
+// 📥 Loading
+// ------------------------------------------------------
+const isPrice = (v) => v === undefined || (Number.isFinite(v) && v >= 0);
+const CURRENCIES = new Set(Intl.supportedValuesOf("currency"));
+
+// What stops a product from being quoted, or null
+function productProblem(p, { seen, addOnIds }) {
+  if (!p?.id || !p.name) return "needs an id and a name";
+  if (seen.has(p.id)) return "duplicate id";
+  if (!PER.includes(p.per)) return `per must be one of ${PER.join(", ")}`;
+  if (p.when?.addOn && !addOnIds.has(p.when.addOn)) return `unknown add-on "${p.when.addOn}"`;
+  return null;
+}
+
+export function loadCatalogue(file) {
+  const errors = [];
+  let raw = {};
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    errors.push(`${err.message} – the quote builder is off`);
+  }
+
+  const addOns = (raw.addOns || []).filter((a, i) => {
+    if (a?.id && a.label) return true;
+    errors.push(`addOns[${i}]: needs an id and a label`);
+    return false;
+  });
+  const addOnIds = new Set(addOns.map((a) => a.id));
+
+  const seen = new Set();
+  const products = [];
+  for (const [i, p] of (raw.products || []).entries()) {
+    const at = `products[${i}]${p?.id ? ` (${p.id})` : ""}`;
+    const problem = productProblem(p, { seen, addOnIds });
+    if (problem) {
+      errors.push(`${at}: ${problem}`);
+      continue;
+    }
+    const when = p.when || {};
+    const unknownVenues = (when.venueTypes || []).filter((v) => !VENUE_TYPES.includes(v));
+    if (unknownVenues.length) errors.push(`${at}: unknown venue type(s) ${unknownVenues.join(", ")}`);
+    if (p.category && !PRODUCT_CATEGORIES.includes(p.category))
+      errors.push(`${at}: category should be one of ${PRODUCT_CATEGORIES.join(", ")}`);
+    // A bad price is quoted as 0 rather than as NaN
+    const price = (key) => {
+      if (isPrice(p[key])) return p[key] ?? 0;
+      errors.push(`${at}: ${key} must be a price (0 or more) – using 0`);
+      return 0;
+    };
+    seen.add(p.id);
+    products.push({
+      ...p,
+      oneOff: price("oneOff"),
+      monthly: price("monthly"),
+      quantity: Number(p.quantity) > 0 ? Number(p.quantity) : 1,
+    });
+  }
+
+  // An unknown code would make every price fail to format
+  let currency = String(raw.currency || "GBP").toUpperCase();
+  if (!CURRENCIES.has(currency)) {
+    errors.push(`currency: unknown code "${currency}" – using GBP`);
+    currency = "GBP";
+  }
+
+  return {
+    currency,
+    note: raw.note || "",
+    addOns,
+    products,
+    errors,
+  };
+}
+
+// ------------------------------------------------------
+// 💷 Pricing
+// ------------------------------------------------------
+const round = (n) => Math.round(n * 100) / 100;
+
+export const formatMoney = (amount, currency = "GBP") =>
+  new Intl.NumberFormat("en-GB", { style: "currency", currency }).format(amount);
+
+function applies(when = {}, { venueType, sites, addOns }) {
+  if (when.venueTypes && !when.venueTypes.includes(venueType)) return false;
+  if (when.minSites && sites < when.minSites) return false;
+  if (when.maxSites && sites > when.maxSites) return false;
+  if (when.addOn && !addOns.includes(when.addOn)) return false;
+  return true;
+}
+
+// { venueType, sites, tills, addOns } → an itemised quote:
+//   { currency, answers, lines: [{ id, name, category, quantity, unitOneOff,
+//     unitMonthly, oneOff, monthly }], totals: { oneOff, monthly }, note, createdAt }
+export function buildQuote(catalogue, { venueType, sites = 1, tills = 1, addOns = [] }) {
+  const answers = { venueType, sites, tills, addOns };
+  const count = { till: tills, site: sites, venue: 1 };
+  const lines = catalogue.products
+    .filter((p) => applies(p.when, answers))
+    .map((p) => {
+      const quantity = count[p.per] * p.quantity;
+      return {
+        id: p.id,
+        name: p.name,
+        category: p.category || null,
+        quantity,
+        unitOneOff: p.oneOff,
+        unitMonthly: p.monthly,
+        oneOff: round(p.oneOff * quantity),
+        monthly: round(p.monthly * quantity),
+      };
+    });
+  const sum = (key) => round(lines.reduce((total, l) => total + l[key], 0));
+  return {
+    currency: catalogue.currency,
+    answers,
+    lines,
+    totals: { oneOff: sum("oneOff"), monthly: sum("monthly") },
+    note: catalogue.note,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// "£2,695.00 one-off + £146.00 a month"
+export function quoteTotals({ totals, currency }) {
+  const parts = [];
+  if (totals.oneOff) parts.push(`${formatMoney(totals.oneOff, currency)} one-off`);
+  if (totals.monthly) parts.push(`${formatMoney(totals.monthly, currency)} a month`);
+  return parts.join(" + ") || formatMoney(0, currency);
+}
@@ -0,0 +1,253 @@
+// =========================================
+// 🕷️ Site Crawler
+// Reads a sitemap.xml, fetches every page, extracts the main-content
+// text with cheerio (or puppeteer for JS-rendered pages) and refreshes
+// the cache/ text files plus their metadata manifest.
+// =========================================
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import fetch from "node-fetch";
+import * as cheerio from "cheerio";
+import { parseStringPromise } from "xml2js";
+import { writeFileAtomic, writeJSONAtomic } from "./fileStore.js";
+import { cacheSlug, urlFromCacheFile } from "./passages.js";
+
+export const MANIFEST_FILE = "index.json";
+
+const NOISE = "script, style, noscript, svg, iframe, form, nav, header, footer, [aria-hidden='true']";
+const MAIN = ["main", "article", "[role='main']", "#content", ".content", "body"];
+
+// ------------------------------------------------------
+// 🗺️ Sitemap
+// ------------------------------------------------------
+const isUrl = (s) => /^https?:\/\//i.test(s);
+
+async function readResource(source, fetchImpl = fetch) {
+  if (!isUrl(source)) return fs.readFileSync(source, "utf8");
+  const res = await fetchImpl(source);
+  if (!res.ok) throw new Error(`${source} → HTTP ${res.status}`);
+  return res.text();
+}
+
+// Returns page URLs, following <sitemapindex> children (one level deep is
+// enough for every CMS we have seen, but nesting is handled anyway).
+export async function readSitemap(source, { fetchImpl = fetch, seen = new Set() } = {}) {
+  if (seen.has(source)) return [];
+  seen.add(source);
+
+  const xml = await parseStringPromise(await readResource(source, fetchImpl));
+  if (xml.sitemapindex) {
+    const children = (xml.sitemapindex.sitemap || []).map((s) => String(s.loc?.[0] || "").trim());
+    const urls = [];
+    for (const child of children.filter(Boolean)) {
+      // Relative child paths in a local sitemap resolve next to the file
+      const resolved = isUrl(child) || isUrl(source) ? child : path.resolve(path.dirname(source), child);
+      urls.push(...(await readSitemap(resolved, { fetchImpl, seen })));
+    }
+    return [...new Set(urls)];
+  }
+
+  const urls = (xml.urlset?.url || []).map((u) => String(u.loc?.[0] || "").trim()).filter(Boolean);
+  return [...new Set(urls)];
+}
+
+// ------------------------------------------------------
+// 🧽 Content extraction
+// ------------------------------------------------------
+export function extractContent(html) {
+  const $ = cheerio.load(html);
+  const title = ($("title").first().text() || $("h1").first().text() || "").replace(/\s+/g, " ").trim();
+  $(NOISE).remove();
+
+  const root = MAIN.map((sel) => $(sel).first()).find((el) => el.length && el.text().trim());
+  // Block-level elements need a space between them once tags are gone
+  root?.find("p, li, h1, h2, h3, h4, h5, h6, div, br, td").each((_, el) => {
+    $(el).append(" ");
+  });
+  const text = (root ? root.text() : "").replace(/\s+/g, " ").trim();
+  return { title, text };
+}
+
+export const contentHash = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+// ------------------------------------------------------
+// 🌐 Fetchers – plain HTTP or headless Chrome
+// ------------------------------------------------------
+function httpFetcher(fetchImpl = fetch) {
+  return {
+    async get(url, previous) {
+      const headers = { "User-Agent": "TappyCrawler/1.0 (+https://www.rstepos.com)" };
+      if (previous?.etag) headers["If-None-Match"] = previous.etag;
+      if (previous?.lastModified) headers["If-Modified-Since"] = previous.lastModified;
+
+      const res = await fetchImpl(url, { headers, redirect: "follow" });
+      if (res.status === 304) return { notModified: true };
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return {
+        html: await res.text(),
+        etag: res.headers.get("etag") || null,
+        lastModified: res.headers.get("last-modified") || null,
+      };
+    },
+    async close() {},
+  };
+}
+
+async function puppeteerFetcher() {
+  const { default: puppeteer } = await import("puppeteer");
+  const browser = await puppeteer.launch({ headless: true, args: ["--no-sandbox"] });
+  return {
+    async get(url) {
+      const page = await browser.newPage();
+      try {
+        const res = await page.goto(url, { waitUntil: "networkidle2", timeout: 30000 });
+        if (res && !res.ok()) throw new Error(`HTTP ${res.status()}`);
+        return { html: await page.content(), etag: null, lastModified: null };
+      } finally {
+        await page.close();
+      }
+    },
+    close: () => browser.close(),
+  };
+}
+
+// ------------------------------------------------------
+// 📒 Manifest – { [file]: { url, title, fetchedAt, hash, etag, lastModified } }
+// ------------------------------------------------------
+export function readManifest(cacheDir) {
+  const file = path.join(cacheDir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.warn(`⚠️ Ignoring unreadable ${MANIFEST_FILE}: ${err.message}`);
+    return {};
+  }
+}
+
+// Cache files written before the manifest existed still count as known
+// pages so the first crawl reports them as changed/unchanged, not added.
+function knownPages(cacheDir, manifest, siteUrl) {
+  const known = { ...manifest };
+  if (!fs.existsSync(cacheDir)) return known;
+  for (const file of fs.readdirSync(cacheDir).filter((f) => f.endsWith(".txt"))) {
+    if (known[file]) continue;
+    const url = urlFromCacheFile(file, siteUrl);
+    if (!url) continue;
+    const text = fs.readFileSync(path.join(cacheDir, file), "utf8").trim();
+    known[file] = { url, title: null, fetchedAt: null, hash: contentHash(text) };
+  }
+  return known;
+}
+
+// ------------------------------------------------------
+// 🚀 Crawl
+// ------------------------------------------------------
+export async function crawlSite({
+  sitemap,
+  cacheDir,
+  siteUrl,
+  origin = null, // fetch from this origin instead (e.g. a local static server)
+  render = false,
+  concurrency = 4,
+  dryRun = false,
+  prune = true,
+  fetchImpl = fetch,
+  log = console.log,
+}) {
+  const urls = await readSitemap(sitemap, { fetchImpl });
+  if (!urls.length) throw new Error(`No <loc> URLs found in ${sitemap}`);
+
+  const manifest = readManifest(cacheDir);
+  const known = knownPages(cacheDir, manifest, siteUrl || new URL(urls[0]).origin);
+  const next = { ...manifest };
+  const diff = { added: [], changed: [], unchanged: [], removed: [], failed: [] };
+  // Pages are written as they arrive, so a new --out directory has to exist first
+  if (!dryRun) fs.mkdirSync(cacheDir, { recursive: true });
+  const fetcher = render ? await puppeteerFetcher() : httpFetcher(fetchImpl);
+
+  const fetchUrl = (url) => {
+    if (!origin) return url;
+    const u = new URL(url);
+    return new URL(u.pathname + u.search, origin).toString();
+  };
+
+  async function crawlOne(url) {
+    const file = `${cacheSlug(url)}.txt`;
+    const previous = known[file];
+    try {
+      const page = await fetcher.get(fetchUrl(url), previous);
+      const now = new Date().toISOString();
+      if (page.notModified) {
+        next[file] = { ...previous, checkedAt: now };
+        diff.unchanged.push(url);
+        return;
+      }
+
+      const { title, text } = extractContent(page.html);
+      if (!text) throw new Error("no text content");
+      const hash = contentHash(text);
+      const meta = { url, title, fetchedAt: now, hash, etag: page.etag, lastModified: page.lastModified };
+
+      if (previous?.hash === hash) {
+        next[file] = { ...previous, ...meta, fetchedAt: previous.fetchedAt || now, checkedAt: now };
+        diff.unchanged.push(url);
+        return;
+      }
+
+      if (!dryRun) writeFileAtomic(path.join(cacheDir, file), text);
+      next[file] = meta;
+      (previous ? diff.changed : diff.added).push(url);
+    } catch (err) {
+      diff.failed.push({ url, error: err.message });
+      log(`❌ ${url}: ${err.message}`);
+    }
+  }
+
+  try {
+    const queue = [...urls];
+    const workers = Array.from({ length: Math.max(1, concurrency) }, async () => {
+      while (queue.length) await crawlOne(queue.shift());
+    });
+    await Promise.all(workers);
+  } finally {
+    await fetcher.close();
+  }
+
+  // Pages from the same site(s) that dropped out of the sitemap
+  const origins = new Set(urls.map((u) => new URL(u).origin));
+  const listed = new Set(urls.map((u) => `${cacheSlug(u)}.txt`));
+  for (const [file, meta] of Object.entries(known)) {
+    if (listed.has(file) || !meta.url || !origins.has(new URL(meta.url).origin)) continue;
+    diff.removed.push(meta.url);
+    delete next[file];
+    if (!dryRun && prune) fs.rmSync(path.join(cacheDir, file), { force: true });
+  }
+
+  if (!dryRun) writeJSONAtomic(path.join(cacheDir, MANIFEST_FILE), sortKeys(next));
+  return diff;
+}
+
+function sortKeys(obj) {
+  return Object.fromEntries(Object.entries(obj).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+export function formatDiff(diff) {
+  const lines = [];
+  const section = (icon, label, items) => {
+    if (!items.length) return;
+    lines.push(`${icon} ${label} (${items.length})`);
+    items.forEach((i) => lines.push(`   ${typeof i === "string" ? i : `${i.url} – ${i.error}`}`));
+  };
+  section("🆕", "Added", diff.added);
+  section("✏️", "Changed", diff.changed);
+  section("🗑️", "Removed", diff.removed);
+  section("❌", "Failed", diff.failed);
+  lines.push(
+    `📊 ${diff.added.length} added, ${diff.changed.length} changed, ` +
+      `${diff.removed.length} removed, ${diff.unchanged.length} unchanged, ${diff.failed.length} failed`
+  );
+  return lines.join("\n");
+}
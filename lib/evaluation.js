@@ -0,0 +1,296 @@
+// =========================================
+// 🧪 Matching Evaluation
+// Replays labelled questions through the FAQ matcher – searchIndex and
+// decide(), the stage the ranking.json thresholds control – and scores it:
+//   top1 / top3  → the expected FAQ ranked first / in the first three
+//   noMatch      → nothing found for a question that has an answer
+//   wrongAuto    → auto-selected another FAQ (or any FAQ when none is expected)
+//   confusion    → per expected FAQ, what came first instead
+//
+// Cases come from evaluation.json:
+//   {
+//     "faqQuestions": true,     ← every FAQ's own `questions`, each one held out
+//                                 of the index it is searched against
+//     "cases": [
+//       { "query": "cash drawer wont open", "expect": "support-cash-drawer-not-opening" },
+//       { "query": "no blobby showing", "expect": null },   ← should match nothing
+//       { "query": "card not reading", "source": "unmatched" } ← not labelled yet, skipped
+//     ]
+//   }
+// Every report carries fingerprints of the cases, the FAQs and the ranking
+// config – runs with the same `cases` fingerprint are directly comparable.
+// =========================================
+
+import fs from "fs";
+import crypto from "crypto";
+import { buildSearchIndex, searchIndex, DEFAULT_RANKING_CONFIG } from "./ranking.js";
+import { readJSONLines } from "./fileStore.js";
+import { CATEGORIES } from "./knowledge.js";
+import { normaliseQuery } from "./analytics.js";
+
+export const EVALUATION_MODES = ["holdout", "replay"];
+const MAX_FAILURES = 50;
+const THRESHOLD_KEYS = Object.keys(DEFAULT_RANKING_CONFIG.thresholds);
+
+const fingerprint = (value) =>
+  crypto.createHash("sha1").update(JSON.stringify(value)).digest("hex").slice(0, 10);
+const rate = (n, total) => (total ? Number((n / total).toFixed(3)) : null);
+
+// ------------------------------------------------------
+// 📥 Golden set
+// ------------------------------------------------------
+export function loadEvaluationSet(file) {
+  const errors = [];
+  let raw = {};
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    errors.push(`${file}: ${err.message}`);
+  }
+  const cases = [];
+  (Array.isArray(raw.cases) ? raw.cases : []).forEach((c, i) => {
+    if (!c?.query || typeof c.query !== "string") return errors.push(`case ${i + 1}: query is required`);
+    if (c.context !== undefined && !CATEGORIES.includes(c.context))
+      errors.push(`case ${i + 1}: context must be one of ${CATEGORIES.join(", ")}`);
+    cases.push({
+      query: c.query,
+      ...("expect" in c ? { expect: c.expect === null ? null : String(c.expect) } : {}),
+      context: CATEGORIES.includes(c.context) ? c.context : "general",
+      source: c.source || "golden",
+    });
+  });
+  return { faqQuestions: raw.faqQuestions !== false, cases, errors };
+}
+
+// Labelled cases plus (optionally) the FAQs' own questions → { cases, unlabelled, errors }
+export function goldenCases(set, kb) {
+  const errors = [];
+  const cases = [];
+  let unlabelled = 0;
+  for (const c of set.cases) {
+    if (!("expect" in c)) {
+      unlabelled++;
+      continue;
+    }
+    if (c.expect !== null && !kb.byId.has(c.expect)) {
+      errors.push(`"${c.query}": unknown FAQ id ${c.expect}`);
+      continue;
+    }
+    cases.push(c);
+  }
+  if (set.faqQuestions) {
+    for (const entry of kb.entries) {
+      (entry.questions || []).forEach((query, index) =>
+        cases.push({ query, expect: entry.id, context: "general", source: "faq", holdout: index })
+      );
+    }
+  }
+  return { cases, unlabelled, errors };
+}
+
+// { autoSelectMargin: 1.3 } → { thresholds } or { error } – only ranking.json's threshold keys
+export function parseThresholds(input = {}) {
+  const thresholds = {};
+  for (const [key, value] of Object.entries(input || {})) {
+    if (!THRESHOLD_KEYS.includes(key))
+      return { error: `unknown threshold ${key} (one of ${THRESHOLD_KEYS.join(", ")})` };
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) return { error: `threshold ${key} must be a number ≥ 0` };
+    thresholds[key] = n;
+  }
+  return { thresholds };
+}
+
+// Real queries nobody has labelled yet – misses from the logs not already in the set
+export function unlabelledQueries(events, set) {
+  const known = new Set(set.cases.map((c) => normaliseQuery(c.query)));
+  const seen = new Map();
+  for (const e of events) {
+    if (e.match !== "none") continue;
+    const key = normaliseQuery(e.message);
+    if (!key || known.has(key)) continue;
+    if (!seen.has(key)) seen.set(key, { query: String(e.message).trim(), count: 0 });
+    seen.get(key).count++;
+  }
+  return [...seen.values()].sort((a, b) => b.count - a.count);
+}
+
+// ------------------------------------------------------
+// 🏃 Running
+// ------------------------------------------------------
+// The entries with one FAQ question removed, so it has to be found on the
+// strength of the others, the title and the answer
+const withoutQuestion = (entries, entry, index) =>
+  entries.map((e) => (e === entry ? { ...e, questions: e.questions.filter((q, i) => i !== index) } : e));
+
+// Lets the server answer chats between index rebuilds
+const breathe = () => new Promise((resolve) => setImmediate(resolve));
+
+function outcome(c, search) {
+  const { decision, confidence, results } = search;
+  const ids = results.map((r) => String(r.entry.id));
+  const rank = c.expect === null ? null : ids.indexOf(c.expect) + 1 || null;
+  return {
+    query: c.query,
+    expect: c.expect,
+    context: c.context,
+    source: c.source,
+    decision,
+    confidence,
+    top: ids.slice(0, 3),
+    score: results[0]?.score ?? null,
+    rank,
+  };
+}
+
+// → the full report; `thresholds` overrides ranking.json's for this run only
+export async function evaluate({
+  kb,
+  set,
+  config = DEFAULT_RANKING_CONFIG,
+  mode = "holdout",
+  thresholds = {},
+}) {
+  const runConfig = { ...config, thresholds: { ...config.thresholds, ...thresholds } };
+  const { cases, unlabelled, errors } = goldenCases(set, kb);
+  const fullIndex = buildSearchIndex(kb.entries, runConfig);
+  const started = Date.now();
+
+  const outcomes = [];
+  for (const c of cases) {
+    let index = fullIndex;
+    if (mode === "holdout" && c.source === "faq") {
+      const entry = kb.byId.get(c.expect);
+      index = buildSearchIndex(withoutQuestion(kb.entries, entry, c.holdout), runConfig);
+      await breathe();
+    }
+    outcomes.push(outcome(c, searchIndex(index, c.query, { context: c.context })));
+  }
+
+  return {
+    at: new Date().toISOString(),
+    mode,
+    ms: Date.now() - started,
+    fingerprint: {
+      cases: fingerprint(cases.map(({ query, expect, context }) => [query, expect, context])),
+      faqs: fingerprint(kb.entries),
+      config: fingerprint(runConfig),
+    },
+    thresholds: runConfig.thresholds,
+    ...score(outcomes, kb),
+    unlabelled,
+    errors,
+  };
+}
+
+// ------------------------------------------------------
+// 📈 Scoring
+// ------------------------------------------------------
+export function score(outcomes, kb) {
+  const answerable = outcomes.filter((o) => o.expect !== null);
+  const unanswerable = outcomes.filter((o) => o.expect === null);
+  const counts = {
+    cases: outcomes.length,
+    answerable: answerable.length,
+    unanswerable: unanswerable.length,
+    top1: answerable.filter((o) => o.rank === 1).length,
+    top3: answerable.filter((o) => o.rank && o.rank <= 3).length,
+    noMatch: answerable.filter((o) => o.decision === "none").length,
+    autoSelected: outcomes.filter((o) => o.decision === "auto").length,
+    wrongAuto: outcomes.filter((o) => o.decision === "auto" && o.rank !== 1).length,
+    correctNoMatch: unanswerable.filter((o) => o.decision === "none").length,
+  };
+
+  const title = (id) => kb.byId.get(String(id))?.title || null;
+  const byFaq = new Map();
+  for (const o of answerable) {
+    if (!byFaq.has(o.expect))
+      byFaq.set(o.expect, {
+        faqId: o.expect,
+        title: title(o.expect),
+        cases: 0,
+        top1: 0,
+        noMatch: 0,
+        got: new Map(),
+      });
+    const row = byFaq.get(o.expect);
+    row.cases++;
+    if (o.rank === 1) row.top1++;
+    else if (o.decision === "none") row.noMatch++;
+    else row.got.set(o.top[0], (row.got.get(o.top[0]) || 0) + 1);
+  }
+  const confusion = [...byFaq.values()]
+    .filter((r) => r.top1 < r.cases)
+    .map(({ got, ...r }) => ({
+      ...r,
+      instead: [...got.entries()]
+        .map(([faqId, count]) => ({ faqId, title: title(faqId), count }))
+        .sort((a, b) => b.count - a.count),
+    }))
+    .sort((a, b) => b.cases - b.top1 - (a.cases - a.top1));
+
+  return {
+    counts,
+    metrics: {
+      top1: rate(counts.top1, counts.answerable),
+      top3: rate(counts.top3, counts.answerable),
+      noMatch: rate(counts.noMatch, counts.answerable),
+      wrongAuto: rate(counts.wrongAuto, counts.autoSelected),
+      correctNoMatch: rate(counts.correctNoMatch, counts.unanswerable),
+    },
+    confusion,
+    failures: outcomes
+      .filter((o) => (o.expect === null ? o.decision === "auto" : o.rank !== 1))
+      .slice(0, MAX_FAILURES),
+  };
+}
+
+// ------------------------------------------------------
+// 🗂️ Run history – evaluation_runs.jsonl, one summary per run
+// ------------------------------------------------------
+const summarise = ({ at, mode, ms, fingerprint: fp, thresholds, counts, metrics, unlabelled }) => ({
+  at,
+  mode,
+  ms,
+  fingerprint: fp,
+  thresholds,
+  counts,
+  metrics,
+  unlabelled,
+});
+
+export function createEvaluationLog(file) {
+  return {
+    runs: () => readJSONLines(file),
+
+    append(report) {
+      const line = summarise(report);
+      try {
+        fs.appendFileSync(file, JSON.stringify(line) + "\n");
+      } catch (err) {
+        console.error("❌ Failed to write evaluation run:", err.message);
+      }
+      return line;
+    },
+
+    // The last run over the same cases in the same mode, or null
+    previous(report) {
+      const { cases } = report.fingerprint;
+      const runs = readJSONLines(file).filter(
+        (r) => r.fingerprint?.cases === cases && r.mode === report.mode && r.at !== report.at
+      );
+      return runs[runs.length - 1] || null;
+    },
+  };
+}
+
+// Metric changes since an earlier run (positive = higher)
+export function compareRuns(previous, report) {
+  if (!previous || previous.fingerprint?.cases !== report.fingerprint.cases) return null;
+  const delta = {};
+  for (const [key, value] of Object.entries(report.metrics)) {
+    const before = previous.metrics?.[key];
+    delta[key] = value === null || before == null ? null : Number((value - before).toFixed(3));
+  }
+  return { since: previous.at, config: previous.fingerprint.config, faqs: previous.fingerprint.faqs, delta };
+}
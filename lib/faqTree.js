@@ -0,0 +1,155 @@
+// =========================================
+// 🌳 FAQ Tree Validation
+// Checks the `next` branches between FAQ entries: yes/no options,
+// labelled choices, captures and skip targets (see lib/flow.js).
+// =========================================
+
+// A branch target is either another FAQ id or a page link (".html" / URL)
+export function isLinkTarget(target) {
+  return typeof target === "string" && (/\.html?(?:[#?]|$)/i.test(target) || /^https?:\/\//i.test(target));
+}
+
+export function branchTargets(entry) {
+  const next = entry?.next;
+  if (!next || typeof next !== "object") return [];
+  const options = next.options && typeof next.options === "object" ? Object.values(next.options) : [];
+  const choices = Array.isArray(next.choices) ? next.choices.map((c) => c?.goto) : [];
+  return [...options, ...choices, next.goto, next.skip]
+    .filter((t) => t !== undefined && t !== null && t !== "")
+    .map((t) => (isLinkTarget(t) ? t : String(t)));
+}
+
+const VARIABLE = /^[A-Za-z_]\w*$/;
+
+// Choice labels/synonyms, capture and skip rules for one node
+function validateNode(entry) {
+  const errors = [];
+  const { next } = entry;
+  const push = (message) => errors.push({ id: entry.id, message: `"${entry.id}" ${message}` });
+
+  if (next.capture !== undefined) {
+    if (!VARIABLE.test(next.capture)) push(`captures into an invalid variable name "${next.capture}"`);
+    if (next.goto === undefined) push("captures an answer but has no goto");
+  }
+
+  const seen = new Map(); // normalised label/synonym → choice label
+  (Array.isArray(next.choices) ? next.choices : []).forEach((choice, i) => {
+    if (!choice || typeof choice.label !== "string" || !choice.label.trim()) {
+      push(`choice ${i + 1} has no label`);
+      return;
+    }
+    if (choice.goto === undefined && !choice.handoff) push(`choice "${choice.label}" has no goto or handoff`);
+    if (choice.synonyms !== undefined && !Array.isArray(choice.synonyms))
+      push(`choice "${choice.label}" synonyms must be an array`);
+    for (const word of [choice.label, ...(Array.isArray(choice.synonyms) ? choice.synonyms : [])]) {
+      const key = String(word).toLowerCase().trim();
+      if (seen.has(key) && seen.get(key) !== choice.label)
+        push(`uses "${word}" for both "${seen.get(key)}" and "${choice.label}"`);
+      seen.set(key, choice.label);
+    }
+  });
+
+  const hasChoices = Array.isArray(next.choices) && next.choices.length > 0;
+  const hasOptions = next.options && typeof next.options === "object" && Object.values(next.options).some(Boolean);
+  if (next.question && !hasChoices && !hasOptions && next.capture === undefined)
+    push("asks a question but has no options");
+  return errors;
+}
+
+function referencedIds(entries) {
+  const ids = new Set();
+  for (const entry of entries)
+    for (const target of branchTargets(entry)) if (!isLinkTarget(target)) ids.add(target);
+  return ids;
+}
+
+function findCycles(entries, byId) {
+  const state = new Map(); // id → "visiting" | "done"
+  const cycles = [];
+
+  const visit = (id, trail) => {
+    if (state.get(id) === "done") return;
+    if (state.get(id) === "visiting") {
+      cycles.push([...trail.slice(trail.indexOf(id)), id]);
+      return;
+    }
+    state.set(id, "visiting");
+    for (const target of branchTargets(byId.get(id))) {
+      if (!isLinkTarget(target) && byId.has(target)) visit(target, [...trail, id]);
+    }
+    state.set(id, "done");
+  };
+
+  entries.forEach((e) => visit(e.id, []));
+  return cycles;
+}
+
+// ------------------------------------------------------
+// ✅ Validate a full entry list
+// Pass the previous entry list to also catch branches that a save
+// has cut off (targets that were reachable before and no longer are).
+// ------------------------------------------------------
+export function validateTrees(entries, previousEntries = null) {
+  const errors = [];
+  const byId = new Map();
+
+  for (const entry of entries) {
+    if (byId.has(entry.id)) errors.push({ id: entry.id, message: `duplicate id "${entry.id}"` });
+    byId.set(entry.id, entry);
+  }
+
+  for (const entry of entries) {
+    if (!entry.next) continue;
+    const targets = branchTargets(entry);
+    errors.push(...validateNode(entry));
+
+    for (const target of targets) {
+      if (isLinkTarget(target)) continue;
+      if (!byId.has(target))
+        errors.push({ id: entry.id, message: `"${entry.id}" points to missing entry "${target}"` });
+      else if (target === entry.id)
+        errors.push({ id: entry.id, message: `"${entry.id}" points to itself` });
+    }
+  }
+
+  for (const cycle of findCycles(entries, byId)) {
+    if (cycle.length <= 2) continue; // self-references are reported above
+    errors.push({ id: cycle[0], message: `branch cycle: ${cycle.join(" → ")}` });
+  }
+
+  if (previousEntries) {
+    const before = referencedIds(previousEntries);
+    const after = referencedIds(entries);
+    for (const id of before) {
+      if (byId.has(id) && !after.has(id))
+        errors.push({ id, message: `branch "${id}" is no longer reachable from any question` });
+    }
+  }
+
+  return errors;
+}
+
+// Ids only reachable through the given entry's branches (used for cascade deletes)
+export function branchSubtree(entry, entries) {
+  const byId = new Map(entries.map((e) => [e.id, e]));
+  const collected = new Set();
+  const stack = branchTargets(entry).filter((t) => !isLinkTarget(t));
+
+  while (stack.length) {
+    const id = stack.pop();
+    if (collected.has(id) || id === entry.id || !byId.has(id)) continue;
+    collected.add(id);
+    stack.push(...branchTargets(byId.get(id)).filter((t) => !isLinkTarget(t)));
+  }
+
+  // Keep anything another (non-subtree) entry still points at, plus its descendants
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const other of entries) {
+      if (other.id === entry.id || collected.has(other.id)) continue;
+      for (const t of branchTargets(other)) if (collected.delete(t)) changed = true;
+    }
+  }
+  return [...collected];
+}
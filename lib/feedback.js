@@ -0,0 +1,144 @@
+// =========================================
+// 👍 Answer Feedback
+// Thumbs up / down (plus an optional comment) on any reply, stored in
+// feedback.jsonl against the turn's FAQ, the query that led to it and the
+// conversation:
+//   { time, conversationId, turnId, tenant, faqId, query, source, match,
+//     locale, rating: "up" | "down", comment }
+// Re-rating a turn replaces the earlier rating.
+//
+// Ratings feed back into ranking: a query similar to a rated one scales
+// that FAQ's score up or down (ranking.json → feedback):
+//   similarity  → share of terms two queries must have in common
+//   step        → change per similar vote (weighted by similarity)
+//   maxBoost / minFactor → the bounds of the scale
+// =========================================
+
+import fs from "fs";
+import { readJSONLines, removeJSONLines } from "./fileStore.js";
+import { tokenize, stem, STOP_WORDS, DEFAULT_RANKING_CONFIG } from "./ranking.js";
+
+export const RATINGS = ["up", "down"];
+export const MAX_COMMENT = 500;
+
+const terms = (text) => new Set(tokenize(text).filter((w) => !STOP_WORDS.has(w)).map(stem));
+
+// Shared terms over all terms of the two queries (0–1)
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// The latest rating per turn, oldest first
+function latestPerTurn(records) {
+  const byTurn = new Map();
+  for (const r of records) byTurn.set(`${r.conversationId}:${r.turnId}`, r);
+  return [...byTurn.values()];
+}
+
+// ------------------------------------------------------
+// 💾 feedback.jsonl
+// ------------------------------------------------------
+export function createFeedbackStore(file, config = DEFAULT_RANKING_CONFIG.feedback) {
+  // FAQ id → [{ terms, vote }] for the ranking boost – rebuilt on each rating
+  let votes = new Map();
+  const index = () => {
+    votes = new Map();
+    for (const r of latestPerTurn(readJSONLines(file))) {
+      if (!r.faqId) continue;
+      const id = String(r.faqId);
+      if (!votes.has(id)) votes.set(id, []);
+      votes.get(id).push({ terms: terms(r.query), vote: r.rating === "up" ? 1 : -1 });
+    }
+  };
+  index();
+
+  return {
+    list: () => latestPerTurn(readJSONLines(file)),
+
+    add(record) {
+      const line = { time: new Date().toISOString(), ...record };
+      try {
+        fs.appendFileSync(file, JSON.stringify(line) + "\n");
+      } catch (err) {
+        console.error("❌ Failed to write feedback:", err.message);
+        return null;
+      }
+      index();
+      return line;
+    },
+
+    // Retention and erasure – drops the ratings `test` matches → how many
+    remove(test) {
+      const removed = removeJSONLines(file, test);
+      if (removed) index();
+      return removed;
+    },
+
+    // query → Map(FAQ id → score factor) for searchIndex's `boosts`
+    boosts(query) {
+      const factors = new Map();
+      if (!votes.size) return factors;
+      const own = terms(query);
+      for (const [id, rated] of votes) {
+        let net = 0;
+        for (const { terms: t, vote } of rated) {
+          const sim = similarity(own, t);
+          if (sim >= config.similarity) net += vote * sim;
+        }
+        if (!net) continue;
+        const factor = Math.min(config.maxBoost, Math.max(config.minFactor, 1 + net * config.step));
+        factors.set(id, Number(factor.toFixed(3)));
+      }
+      return factors;
+    },
+  };
+}
+
+// ------------------------------------------------------
+// 📉 Worst-rated FAQs with the queries that led to them
+// ------------------------------------------------------
+// Net score = (up − down) / votes; FAQs with fewer than `minVotes` are left out
+export function worstRated(records, kb, { limit = 20, minVotes = 1 } = {}) {
+  const byFaq = new Map();
+  for (const r of records) {
+    if (!r.faqId) continue;
+    const id = String(r.faqId);
+    if (!byFaq.has(id)) byFaq.set(id, { faqId: id, up: 0, down: 0, queries: new Map(), comments: [] });
+    const row = byFaq.get(id);
+    row[r.rating]++;
+    if (r.rating !== "down") continue;
+    const query = String(r.query || "").trim().toLowerCase();
+    row.queries.set(query, (row.queries.get(query) || 0) + 1);
+    if (r.comment) row.comments.push({ time: r.time, comment: r.comment, query: r.query });
+  }
+
+  return [...byFaq.values()]
+    .filter((r) => r.up + r.down >= minVotes && r.down > 0)
+    .map(({ queries, comments, ...r }) => ({
+      ...r,
+      title: kb.byId.get(r.faqId)?.title || null,
+      votes: r.up + r.down,
+      score: Number(((r.up - r.down) / (r.up + r.down)).toFixed(3)),
+      queries: [...queries.entries()]
+        .map(([query, count]) => ({ query, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10),
+      comments: comments.slice(-10).reverse(),
+    }))
+    .sort((a, b) => a.score - b.score || b.down - a.down)
+    .slice(0, limit);
+}
+
+// Up / down counts per reply source (faq, pages, llm …)
+export function ratingsBySource(records) {
+  const out = {};
+  for (const r of records) {
+    const key = r.source || "unknown";
+    if (!out[key]) out[key] = { up: 0, down: 0 };
+    out[key][r.rating]++;
+  }
+  return out;
+}
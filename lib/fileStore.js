@@ -0,0 +1,53 @@
+// =========================================
+// 💾 File helpers – atomic writes for JSON data files, JSONL reading and pruning
+// =========================================
+
+import fs from "fs";
+import path from "path";
+
+// Write to a temp file in the same directory, then rename over the
+// target so readers never see a half-written file.
+export function writeFileAtomic(file, data) {
+  const tmp = path.join(
+    path.dirname(file),
+    `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`
+  );
+  try {
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+export function writeJSONAtomic(file, value) {
+  writeFileAtomic(file, JSON.stringify(value, null, 2) + "\n");
+}
+
+// One JSON record per line; blank or corrupt lines are skipped
+export function readJSONLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((l) => l.trim())
+    .map((l) => {
+      try {
+        return JSON.parse(l);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Rewrites the file without the records `test` matches (corrupt lines go
+// too) → how many were removed
+export function removeJSONLines(file, test) {
+  const records = readJSONLines(file);
+  const kept = records.filter((r) => !test(r));
+  if (kept.length === records.length) return 0;
+  writeFileAtomic(file, kept.map((r) => JSON.stringify(r) + "\n").join(""));
+  return records.length - kept.length;
+}
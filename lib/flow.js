@@ -0,0 +1,274 @@
+// =========================================
+// 🧭 Decision-Tree Flows
+// FAQ entries become flow nodes through their `next` field:
+//
+//   next: { question, options: { yes: "22", no: "23" } }        ← original yes/no form
+//   next: {
+//     question: "How many tills do you need?",
+//     choices: [
+//       { label: "1–2", synonyms: ["one", "two"], goto: "30" },
+//       { label: "Not sure", goto: "/contact-us.html" },        ← link ending
+//       { label: "Talk to someone", handoff: true },             ← handoff ending
+//     ],
+//     skip: "31",                                                ← optional
+//   }
+//   next: { question: "What’s your venue called?", capture: "venueName", goto: "32" }
+//
+// Captured answers fill {{venueName}} placeholders in later nodes.
+// Visitors can say "back", "start over" or "skip" at any question.
+// State lives on the chat session under `session.flow` = { path: [ids], vars }.
+//
+// `lang` is the turn's localeStrings() – nodes show their translation, canned
+// prompts come from the locale files and yes/no answers are understood in both.
+// =========================================
+
+import { escapeHtml } from "./html.js";
+import { isLinkTarget } from "./faqTree.js";
+import { localizeEntry } from "./knowledge.js";
+import { DEFAULT_LOCALE } from "./i18n.js";
+import { reply, text, richText, steps, link, yesno, options, form } from "./replies.js";
+import { editDistance } from "./ranking.js";
+
+const HEDGE = /^(not sure|no idea|dont know|i dont know|unsure|maybe|perhaps)\b/;
+
+const BACK = /^(back|go back|previous|previous question)$/;
+const RESTART = /^(start over|start again|restart|from the start|from the beginning)$/;
+const SKIP = /^(skip|skip this|skip it|pass)$/;
+
+// Lowercase words only – "Don’t know!" → "dont know", "Sí" → "si"
+const normaliseAnswer = (value) =>
+  String(value ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .replace(/['’‘`]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// ------------------------------------------------------
+// 🔀 Choices – both `next` forms as [{ label, synonyms, goto?, handoff? }]
+// ------------------------------------------------------
+export function flowChoices(next, lang) {
+  if (Array.isArray(next?.choices)) {
+    return next.choices.map((c) => ({ ...c, synonyms: Array.isArray(c.synonyms) ? c.synonyms : [] }));
+  }
+  return Object.entries(next?.options || {}).map(([key, goto]) => ({
+    label: key === "yes" || key === "no" ? lang.t(key) : key.charAt(0).toUpperCase() + key.slice(1),
+    synonyms: key === "yes" ? lang.yes : key === "no" ? lang.no : [key],
+    goto,
+  }));
+}
+
+// The original { options: { yes, no } } nodes still render as the widget's yes/no buttons
+const isYesNoNode = (next) =>
+  !next.choices && Object.keys(next.options || {}).sort().join() === "no,yes";
+
+export function matchChoice(choices, message) {
+  const input = normaliseAnswer(message);
+  if (!input) return null;
+
+  // "2" picks the second pill
+  if (/^\d+$/.test(input)) return choices[Number(input) - 1] || null;
+
+  const phrases = choices
+    .flatMap((choice) =>
+      [choice.label, ...choice.synonyms].map((p) => ({ choice, phrase: normaliseAnswer(p) }))
+    )
+    .filter((p) => p.phrase)
+    .sort((a, b) => b.phrase.length - a.phrase.length);
+
+  const exact = phrases.find(({ phrase }) => input === phrase);
+  if (exact) return exact.choice;
+  // "not sure" / "no idea" only count when a choice offers them
+  if (HEDGE.test(input)) return null;
+
+  // The answer's opening words ("yes please", "no thanks")
+  const lead = phrases.find(({ phrase }) => input.startsWith(`${phrase} `));
+  if (lead) return lead.choice;
+
+  // Otherwise a phrase anywhere, as long as only one choice is mentioned and
+  // the visitor isn't hedging ("I think yes" – but not "I don't think so")
+  if (/\b(not|dont|unsure|maybe|perhaps)\b/.test(input)) return null;
+  const padded = ` ${input} `;
+  const mentioned = new Set(
+    phrases.filter(({ phrase }) => padded.includes(` ${phrase} `)).map((p) => p.choice)
+  );
+  return mentioned.size === 1 ? [...mentioned][0] : null;
+}
+
+// An unmatched answer that still reads as a try at the question – a pill
+// number, a yes/no word, a hedge or a near miss on a label – is asked again;
+// anything else is a new question for search
+function looksLikeChoice(choices, message, lang) {
+  const input = normaliseAnswer(message);
+  if (!input) return false;
+  if (/^\d+$/.test(input) || HEDGE.test(input)) return true;
+  // "yes", "no thanks" – but not "no cash in the drawer"
+  const words = input.split(" ");
+  const yesNo = [...lang.yes, ...lang.no].map(normaliseAnswer).filter(Boolean);
+  if (words.length <= 2 && yesNo.some((w) => input === w || input.startsWith(`${w} `))) return true;
+  const near = (phrase) =>
+    (input.length >= 3 && phrase.startsWith(input)) ||
+    (phrase.length >= 3 && editDistance(input, phrase, 2) <= Math.min(2, Math.ceil(phrase.length / 4)));
+  return choices.some((c) => [c.label, ...c.synonyms].map(normaliseAnswer).filter(Boolean).some(near));
+}
+
+// ------------------------------------------------------
+// 📘 Rendering a node
+// ------------------------------------------------------
+const fill = (content, vars, escape = true) =>
+  String(content ?? "").replace(/\{\{\s*(\w+)\s*\}\}/g, (m, name) =>
+    escape ? escapeHtml(vars[name] ?? "") : String(vars[name] ?? "")
+  );
+
+function questionBlocks(entry, vars, lang) {
+  const { next } = localizeEntry(entry, lang.locale);
+  const question = fill(next.question, vars);
+  // Skipping a capture simply moves on to its goto
+  if (next.capture !== undefined) return [richText(question), form(next.capture, "text", true)];
+  if (isYesNoNode(next)) {
+    const labels = lang.locale === DEFAULT_LOCALE ? null : { yes: lang.t("yes"), no: lang.t("no") };
+    return [yesno(question, entry.id, labels)];
+  }
+  return [richText(question), options(flowChoices(next, lang).map((c) => c.label))];
+}
+
+export function showNode(entry, vars, lang) {
+  const shown = localizeEntry(entry, lang.locale);
+  const items = Array.isArray(shown.steps) ? shown.steps : [shown.steps].filter(Boolean);
+  return reply(
+    text(fill(shown.title, vars, false), { style: "heading", icon: "📘" }),
+    richText(fill(shown.intro, vars)),
+    steps(items.map((s) => fill(s, vars))),
+    entry.next?.question
+      ? questionBlocks(entry, vars, lang)
+      : entry.link && link(entry.link, lang.t("learnMore"))
+  );
+}
+
+const reprompt = (entry, vars, notice, lang) => reply(text(notice), questionBlocks(entry, vars, lang));
+
+// ------------------------------------------------------
+// 🚀 Entry points
+// ------------------------------------------------------
+// Shows an FAQ picked by search; starts a flow when it asks a question
+export function enterNode(session, entry, lang) {
+  session.currentId = entry.id;
+  session.flow = entry.next?.question ? { path: [entry.id], vars: {} } : null;
+  return showNode(entry, {}, lang);
+}
+
+// Older widgets post the currentId back – a different one restarts from there
+function syncFlow(session, kb) {
+  const flow = session.flow;
+  if (flow?.path?.length && flow.path[flow.path.length - 1] === String(session.currentId)) return flow;
+  const entry = session.currentId ? kb.byId.get(String(session.currentId)) : null;
+  session.flow = entry?.next?.question ? { path: [entry.id], vars: {} } : null;
+  return session.flow;
+}
+
+// One turn of an active flow → { reply, currentId, faqId, choice, match, handoff? },
+// or null when the message isn't an answer (the caller searches as usual).
+// `links.contact` is where a handoff points – the tenant's contact page.
+export function handleFlowMessage(session, message, kb, lang, links = {}) {
+  const flow = syncFlow(session, kb);
+  if (!flow) return null;
+  const node = kb.byId.get(flow.path[flow.path.length - 1]);
+  const input = normaliseAnswer(message);
+
+  const show = (entry, choice, match = "branch") => {
+    if (!entry) {
+      session.flow = null;
+      return null;
+    }
+    session.currentId = entry.id;
+    return { reply: showNode(entry, flow.vars, lang), currentId: entry.id, faqId: entry.id, choice, match };
+  };
+  const ask = (notice) => ({
+    reply: reprompt(node, flow.vars, lang.t(notice), lang),
+    currentId: node.id,
+    faqId: node.id,
+    choice: null,
+    match: "flow",
+  });
+
+  // Commands
+  if (BACK.test(input)) {
+    if (flow.path.length < 2) return ask("flow.firstQuestion");
+    flow.path.pop();
+    return show(kb.byId.get(flow.path[flow.path.length - 1]), "(back)", "flow");
+  }
+  if (RESTART.test(input)) {
+    flow.path = [flow.path[0]];
+    flow.vars = {};
+    return show(kb.byId.get(flow.path[0]), "(start over)", "flow");
+  }
+
+  // Leaf nodes only understand the commands above
+  const next = node?.next;
+  if (!next?.question) {
+    session.flow = null;
+    return null;
+  }
+
+  const go = (target, choice) => {
+    if (isLinkTarget(target)) {
+      session.flow = null;
+      session.currentId = null;
+      return {
+        reply: reply(link(target, lang.t("flow.relatedPage"))),
+        currentId: null,
+        faqId: node.id,
+        choice,
+        match: "branch",
+      };
+    }
+    const entry = kb.byId.get(String(target));
+    if (!entry) {
+      console.warn(`⚠️ Flow target "${target}" from "${node.id}" no longer exists`);
+      session.flow = null;
+      return null;
+    }
+    flow.path.push(entry.id);
+    console.log(`✅ Branch success: ${choice} → ${entry.title}`);
+    return show(entry, choice);
+  };
+
+  if (SKIP.test(input)) {
+    const target = next.skip ?? (next.capture !== undefined ? next.goto : undefined);
+    if (target === undefined) return ask("flow.cantSkip");
+    return go(target, "(skipped)");
+  }
+
+  if (next.capture !== undefined) {
+    const answer = String(message ?? "").trim().slice(0, 200);
+    if (!answer) return ask("flow.notCaught");
+    flow.vars[next.capture] = answer;
+    return go(next.goto, "(answered)");
+  }
+
+  const choices = flowChoices(localizeEntry(node, lang.locale).next, lang);
+  const choice = matchChoice(choices, message);
+  if (choice?.handoff) {
+    session.flow = null;
+    session.currentId = null;
+    return {
+      reply: reply(
+        text(lang.t("flow.handoff")),
+        link(links.contact || "/contact-us.html", lang.t("flow.contactUs"))
+      ),
+      currentId: null,
+      faqId: node.id,
+      choice: choice.label,
+      match: "branch",
+      handoff: { faqId: node.id, vars: { ...flow.vars } },
+    };
+  }
+  if (choice) return go(choice.goto, choice.label);
+
+  if (looksLikeChoice(choices, message, lang)) return ask("flow.pickOption");
+  // Left behind, so the next turn doesn't rebuild it from currentId
+  session.flow = null;
+  session.currentId = null;
+  return null;
+}
@@ -0,0 +1,364 @@
+// =========================================
+// 🙋 Human Handoff
+// Passes a conversation to a live agent. handoff.json says when the team
+// is around:
+//   {
+//     "timezone": "Europe/London",
+//     "hours": { "mon": "09:00-17:30", …, "sat": "10:00-14:00" },  ← missing days are closed
+//     "closed": ["2026-12-25"],                                     ← whole days off
+//     "maxWaiting": 20                                              ← queue length before going offline
+//   }
+//
+// Inside hours a ticket joins the queue (handoffs.json) with the chat so
+// far; an agent claims it from the console and both sides message through
+// the ticket – the visitor via /api/chat as usual. Outside hours (or with a
+// full queue) the visitor leaves their details instead, as an "offline"
+// ticket for the next shift.
+//
+//   ticket.status: waiting → active → closed, or offline
+//   session.handoff = { ticketId, seen }   ← seen: ticket messages already shown
+//   session.handoffForm = { step, data }   ← offline form in progress
+//   session.awaitingHandoffDecision        ← "chat with our team?" after misses
+// =========================================
+
+import fs from "fs";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import { writeJSONAtomic } from "./fileStore.js";
+import { reply, text, form, yesno, renderReply } from "./replies.js";
+import { validateField } from "./leads.js";
+import { newConversationId } from "./transcripts.js";
+import { flowChoices, matchChoice } from "./flow.js";
+import { DEFAULT_LOCALE } from "./i18n.js";
+
+export const HANDOFF_AFTER_MISSES = 2;
+export const TICKET_STATUSES = ["waiting", "active", "closed", "offline"];
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const HOURS = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/;
+const isEnd = (message) => /^(cancel|stop|quit|exit|end( the)? chat|never ?mind)\b/i.test(message.trim());
+
+// ------------------------------------------------------
+// 🕘 Support hours
+// ------------------------------------------------------
+export function loadHandoffConfig(file) {
+  const errors = [];
+  let raw = {};
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    errors.push(`${err.message} – the team is treated as offline`);
+  }
+
+  let timezone = raw.timezone || "Europe/London";
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: timezone });
+  } catch {
+    errors.push(`unknown timezone "${timezone}" – using Europe/London`);
+    timezone = "Europe/London";
+  }
+
+  const hours = {};
+  for (const [day, range] of Object.entries(raw.hours || {})) {
+    const m = HOURS.exec(String(range));
+    if (!DAYS.includes(day) || !m) {
+      errors.push(`hours.${day}: expected mon–sun with "HH:MM-HH:MM"`);
+      continue;
+    }
+    hours[day] = { from: Number(m[1]) * 60 + Number(m[2]), to: Number(m[3]) * 60 + Number(m[4]) };
+  }
+
+  return {
+    timezone,
+    hours,
+    closed: new Set(raw.closed || []),
+    maxWaiting: Number(raw.maxWaiting) || 20,
+    errors,
+  };
+}
+
+// Day, date and minutes past midnight in the team's timezone
+function localTime(timezone, date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone: timezone,
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    day: parts.weekday.toLowerCase().slice(0, 3),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+export function isWithinHours(config, date = new Date()) {
+  const { day, date: today, minutes } = localTime(config.timezone, date);
+  const open = config.hours[day];
+  return Boolean(open) && !config.closed.has(today) && minutes >= open.from && minutes < open.to;
+}
+
+// ------------------------------------------------------
+// 🎫 Ticket queue – handoffs.json, with an event for every change:
+//   events.on("ticket", ({ type, ticket, message? }) => …)
+//   type: created | claimed | message | closed | offline
+// ------------------------------------------------------
+const summary = ({ messages, transcript, ...ticket }) => ({
+  ...ticket,
+  messages: messages.length,
+  turns: transcript.length,
+});
+
+export function createHandoffQueue(file) {
+  const tickets = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  try {
+    if (fs.existsSync(file))
+      for (const t of JSON.parse(fs.readFileSync(file, "utf8")).tickets || []) tickets.set(t.id, t);
+  } catch (err) {
+    console.error(`❌ Failed to read ${file}:`, err.message);
+  }
+
+  const save = () => {
+    try {
+      writeJSONAtomic(file, { tickets: [...tickets.values()] });
+    } catch (err) {
+      console.error("❌ Failed to save handoff tickets:", err.message);
+    }
+  };
+  const publish = (type, ticket, extra = {}) =>
+    events.emit("ticket", { type, ticket: summary(ticket), ...extra });
+
+  const waiting = () =>
+    [...tickets.values()]
+      .filter((t) => t.status === "waiting")
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+
+  function add(details, status) {
+    const ticket = {
+      id: crypto.randomBytes(6).toString("hex"),
+      status,
+      createdAt: new Date().toISOString(),
+      claimedAt: null,
+      closedAt: null,
+      agent: null,
+      ...details,
+      messages: [],
+    };
+    tickets.set(ticket.id, ticket);
+    save();
+    publish(status === "offline" ? "offline" : "created", ticket);
+    return ticket;
+  }
+
+  function push(ticket, message) {
+    const saved = { at: new Date().toISOString(), ...message };
+    ticket.messages.push(saved);
+    return saved;
+  }
+
+  return {
+    events,
+    summary,
+    get: (id) => tickets.get(id) || null,
+
+    // Newest first; the queue itself (waiting) oldest first
+    list({ status } = {}) {
+      if (status === "waiting") return waiting();
+      return [...tickets.values()]
+        .filter((t) => !status || t.status === status)
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    },
+
+    // Retention and erasure – drops the tickets `test` matches → how many
+    remove(test) {
+      const gone = [...tickets.values()].filter(test);
+      gone.forEach((t) => tickets.delete(t.id));
+      if (gone.length) save();
+      return gone.length;
+    },
+
+    position: (id) => waiting().findIndex((t) => t.id === id) + 1,
+    waitingCount: () => waiting().length,
+
+    // details: { conversationId, tenant, locale, reason, faqId, vars, transcript, contact? }
+    open: (details) => add(details, "waiting"),
+    offline: (details) => add(details, "offline"),
+
+    // → { ticket } or { status, error }
+    claim(id, agent) {
+      const ticket = tickets.get(id);
+      if (!ticket) return { status: 404, error: "Ticket not found" };
+      if (ticket.status !== "waiting") return { status: 409, error: `Ticket is ${ticket.status}` };
+      Object.assign(ticket, { status: "active", agent, claimedAt: new Date().toISOString() });
+      push(ticket, { from: "system", event: "joined", agent });
+      save();
+      publish("claimed", ticket);
+      return { ticket };
+    },
+
+    // from: visitor | agent
+    post(id, from, body, agent = null) {
+      const ticket = tickets.get(id);
+      if (!ticket) return { status: 404, error: "Ticket not found" };
+      if (ticket.status !== "active" && !(from === "visitor" && ticket.status === "waiting"))
+        return { status: 409, error: `Ticket is ${ticket.status}` };
+      const message = push(ticket, { from, text: body, ...(agent ? { agent } : {}) });
+      save();
+      publish("message", ticket, { message });
+      return { ticket, message };
+    },
+
+    // by: visitor | agent name
+    close(id, by) {
+      const ticket = tickets.get(id);
+      if (!ticket) return { status: 404, error: "Ticket not found" };
+      if (ticket.status === "closed" || ticket.status === "offline")
+        return { status: 409, error: `Ticket is ${ticket.status}` };
+      Object.assign(ticket, { status: "closed", closedAt: new Date().toISOString() });
+      push(ticket, { from: "system", event: by === "visitor" ? "left" : "ended", agent: ticket.agent });
+      save();
+      publish("closed", ticket);
+      return { ticket };
+    },
+  };
+}
+
+// ------------------------------------------------------
+// 💬 Visitor side
+// ------------------------------------------------------
+// ctx: { queue, config, lang, details: { tenant, locale, reason, faqId?, vars? } }
+// reason: asked (the visitor asked for a person) | flow (a flow's handoff
+// choice) | unanswered (accepted the offer after repeated misses)
+
+// Ticket messages the visitor hasn't seen yet → reply blocks
+export function unseenMessages(session, ticket, lang) {
+  const fresh = ticket.messages.slice(session.handoff.seen || 0);
+  session.handoff.seen = ticket.messages.length;
+  return fresh
+    .map((m) => {
+      const agent = m.agent || lang.t("handoff.agent");
+      if (m.from === "agent") return text(`${agent}: ${m.text}`, { icon: "🧑‍💼" });
+      if (m.from === "system" && m.event === "joined") return text(lang.t("handoff.joined", { agent }));
+      if (m.from === "system" && m.event === "ended") return text(lang.t("handoff.ended", { agent }));
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// The chat so far, as plain text for the agent
+const transcriptFor = (session) =>
+  (session.transcript || []).map((t) => ({
+    at: t.at,
+    message: t.message,
+    reply: renderReply(t.reply, "text"),
+  }));
+
+// Puts the visitor in the queue, or offers the offline form when the team
+// is away or the queue is full
+export function startHandoff(session, { queue, config, lang, details }) {
+  session.awaitingHandoffDecision = false;
+  if (!session.conversationId) session.conversationId = newConversationId();
+
+  if (!isWithinHours(config) || queue.waitingCount() >= config.maxWaiting) {
+    session.handoffForm = { step: "name", data: {}, details };
+    console.log("🌙 Handoff requested outside support hours – offline form");
+    return reply(text(lang.t("handoff.offline")), form("name"));
+  }
+
+  const ticket = queue.open({
+    conversationId: session.conversationId,
+    ...details,
+    transcript: transcriptFor(session),
+  });
+  session.handoff = { ticketId: ticket.id, seen: 0 };
+  console.log(`🙋 Handoff ticket ${ticket.id} queued (${details.reason})`);
+  return reply(text(lang.t("handoff.queued", { position: queue.position(ticket.id) })));
+}
+
+// "Would you like to chat with our team?" – asked after repeated misses
+export function offerHandoff(session, lang) {
+  session.awaitingHandoffDecision = true;
+  const labels = lang.locale === DEFAULT_LOCALE ? null : { yes: lang.t("yes"), no: lang.t("no") };
+  return yesno(lang.t("handoff.offer"), null, labels);
+}
+
+function offlineForm(session, message, { queue, lang }) {
+  const state = session.handoffForm;
+  const input = message.trim();
+  if (isEnd(input)) {
+    session.handoffForm = null;
+    return reply(text(lang.t("handoff.cancelled")));
+  }
+
+  if (state.step === "name" || state.step === "email") {
+    const { value, error } = validateField(state.step, input);
+    if (error && state.step === "name")
+      return reply(text(`⚠️ ${lang.t("handoff.badName")}`), form("name"));
+    if (error) return reply(text(`⚠️ ${lang.t("handoff.badEmail")}`), form("email", "email"));
+    state.data[state.step] = value;
+    state.step = state.step === "name" ? "email" : "message";
+    return state.step === "email"
+      ? reply(text(lang.t("handoff.askEmail", { name: value })), form("email", "email"))
+      : reply(text(lang.t("handoff.askMessage")), form("message"));
+  }
+
+  const contact = { ...state.data, message: input.slice(0, 1000) };
+  const ticket = queue.offline({
+    conversationId: session.conversationId,
+    ...state.details,
+    transcript: transcriptFor(session),
+    contact,
+  });
+  session.handoffForm = null;
+  console.log(`📮 Offline handoff ticket ${ticket.id} from ${contact.email}`);
+  return reply(text(lang.t("handoff.sent", contact)));
+}
+
+// One visitor turn while a handoff is under way → { reply, source } or null
+// when there is none (or it has just ended and the bot should answer)
+export function handleHandoffMessage(session, message, ctx) {
+  const { queue, lang } = ctx;
+
+  if (session.handoffForm) return { reply: offlineForm(session, message, ctx), source: "handoff" };
+
+  if (session.awaitingHandoffDecision) {
+    session.awaitingHandoffDecision = false;
+    const answer = matchChoice(flowChoices({ options: { yes: "yes", no: "no" } }, lang), message)?.goto;
+    const details = { ...ctx.details, reason: "unanswered" };
+    if (answer === "yes") return { reply: startHandoff(session, { ...ctx, details }), source: "handoff" };
+    if (answer === "no") return { reply: reply(text(lang.t("handoff.declined"))), source: "handoff" };
+    return null;
+  }
+
+  if (!session.handoff) return null;
+  const ticket = queue.get(session.handoff.ticketId);
+  if (!ticket || ticket.status === "closed") {
+    const blocks = ticket ? unseenMessages(session, ticket, lang) : [];
+    session.handoff = null;
+    return blocks.length ? { reply: reply(blocks), source: "agent" } : null;
+  }
+
+  if (isEnd(message)) {
+    queue.close(ticket.id, "visitor");
+    session.handoff = null;
+    console.log(`👋 Visitor left handoff ticket ${ticket.id}`);
+    return { reply: reply(text(lang.t("handoff.left"))), source: "handoff" };
+  }
+
+  queue.post(ticket.id, "visitor", message.trim());
+  const blocks = unseenMessages(session, ticket, lang);
+  if (!blocks.length && ticket.status === "waiting")
+    blocks.push(text(lang.t("handoff.waiting", { position: queue.position(ticket.id) })));
+  return { reply: reply(blocks), source: "agent" };
+}
@@ -0,0 +1,7 @@
+// =========================================
+// 🧼 HTML helpers for replies that echo visitor input
+// =========================================
+
+const ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, (c) => ENTITIES[c]);
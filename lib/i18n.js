@@ -0,0 +1,124 @@
+// =========================================
+// 🌍 Locales
+// Canned replies live in locales/<code>.json:
+//   {
+//     "name": "Español",
+//     "detect": ["el", "la", "cómo", …],      ← words that give the language away
+//     "greetings": ["hola", "buenos días"],
+//     "yes": ["sí", …], "no": ["no", …],       ← answers to yes/no questions
+//     "strings": { "noMatch": "…", … }         ← missing keys fall back to en.json
+//   }
+// Strings may use {brand} and {botName} – filled in from the tenant.
+//
+// The locale of a turn is the request's `locale`, else the language the
+// message is written in, else whatever the session last used.
+// =========================================
+
+import fs from "fs";
+import path from "path";
+import { tokenize } from "./ranking.js";
+
+export const DEFAULT_LOCALE = "en";
+const LOCALE_CODE = /^[a-z]{2}$/;
+
+const phrase = (value) => tokenize(value).join(" ");
+
+// "I’m {botName}" → "I’m Tappy" (unknown names are left as they are)
+export const fill = (template, vars) =>
+  String(template).replace(/\{(\w+)\}/g, (m, name) => (vars[name] ?? m));
+
+// ------------------------------------------------------
+// 📥 Loading
+// ------------------------------------------------------
+export function loadLocales(dir) {
+  const errors = [];
+  const locales = {};
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  } catch (err) {
+    errors.push(`${dir}: ${err.message}`);
+  }
+
+  for (const file of files) {
+    const code = path.basename(file, ".json");
+    if (!LOCALE_CODE.test(code)) {
+      errors.push(`${file}: name must be a two-letter language code`);
+      continue;
+    }
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      locales[code] = {
+        code,
+        name: raw.name || code,
+        words: new Set((raw.detect || []).flatMap(tokenize)),
+        greetings: new Set((raw.greetings || []).map(phrase)),
+        yes: raw.yes || [],
+        no: raw.no || [],
+        strings: raw.strings || {},
+      };
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+    }
+  }
+
+  const base = locales[DEFAULT_LOCALE];
+  if (!base) errors.push(`${DEFAULT_LOCALE}.json is missing – canned replies will show their keys`);
+  for (const locale of Object.values(locales)) {
+    if (locale === base) continue;
+    const missing = Object.keys(base?.strings || {}).filter((k) => !(k in locale.strings));
+    if (missing.length) errors.push(`${locale.code}.json: no ${missing.join(", ")} (English is used)`);
+  }
+
+  return { codes: Object.keys(locales), locales, errors };
+}
+
+// ------------------------------------------------------
+// 🔎 Detection
+// ------------------------------------------------------
+// The locale with the most giveaway words, or null when no language stands
+// out (one-word questions, product names …)
+export function detectLocale(catalog, message) {
+  const words = tokenize(message);
+  const input = words.join(" ");
+  const scores = Object.values(catalog.locales)
+    .map((l) => ({
+      code: l.code,
+      hits: words.filter((w) => l.words.has(w)).length + (l.greetings.has(input) ? 1 : 0),
+    }))
+    .sort((a, b) => b.hits - a.hits);
+  const [best, next] = scores;
+  return best?.hits && best.hits > (next?.hits || 0) ? best.code : null;
+}
+
+// "es-ES" → "es"; null when the catalog doesn't have it
+export function matchLocale(catalog, requested) {
+  const code = String(requested ?? "").toLowerCase().split(/[-_]/)[0];
+  return catalog.locales[code] ? code : null;
+}
+
+// Picks the turn's locale and remembers it on the session
+export function resolveLocale(catalog, session, { requested, message }) {
+  const locale = matchLocale(catalog, requested) || detectLocale(catalog, message);
+  if (locale) session.locale = locale;
+  return matchLocale(catalog, session.locale) || DEFAULT_LOCALE;
+}
+
+// ------------------------------------------------------
+// 💬 Strings for one locale
+// ------------------------------------------------------
+// { locale, name, t(key, vars), yes, no, isGreeting(message) } – English
+// answers to yes/no questions are always understood
+export function localeStrings(catalog, code, defaults = {}) {
+  const base = catalog.locales[DEFAULT_LOCALE];
+  const locale = catalog.locales[code] || base;
+  return {
+    locale: locale?.code || DEFAULT_LOCALE,
+    name: locale?.name || "English",
+    t: (key, vars = {}) =>
+      fill(locale?.strings[key] ?? base?.strings[key] ?? key, { ...defaults, ...vars }),
+    yes: [...new Set([...(locale?.yes || []), ...(base?.yes || [])])],
+    no: [...new Set([...(locale?.no || []), ...(base?.no || [])])],
+    isGreeting: (message) => Boolean(locale?.greetings.has(phrase(message))),
+  };
+}
@@ -0,0 +1,128 @@
+// =========================================
+// 🎯 Intent Router
+// Classifies a message against intents.json. Each intent has regex
+// `patterns` (confidence 1) and/or `examples` (confidence = term overlap
+// with the closest example), a `priority` and an `action`:
+//   greet   → reply with action.text
+//   lead    → start the quote / demo lead flow
+//   quote   → offer a quote unless a sales FAQ answers it
+//   handoff → pass the chat to a person from the team (see handoff.js)
+//   module  → canned product intro from `modules` (when no FAQ is a clear match)
+//   context → bias FAQ search towards action.context and remember action.topic
+// `topics` names the subjects an action.topic can point at (see topics.js).
+// =========================================
+
+import fs from "fs";
+import { tokenize, stem, STOP_WORDS } from "./ranking.js";
+import { reply, text, richText, steps, link } from "./replies.js";
+import { compileTopics } from "./topics.js";
+
+export const INTENT_ACTIONS = ["greet", "lead", "quote", "handoff", "module", "context"];
+
+const terms = (value) => [...new Set(tokenize(value).filter((w) => !STOP_WORDS.has(w)).map(stem))];
+
+// Dice coefficient over stemmed content words
+function overlap(a, b) {
+  if (!a.length || !b.length) return 0;
+  const shared = a.filter((t) => b.includes(t)).length;
+  return (2 * shared) / (a.length + b.length);
+}
+
+// ------------------------------------------------------
+// ⚙️ Config → compiled router
+// ------------------------------------------------------
+export function compileIntents(config = {}) {
+  const errors = [];
+  const intents = [];
+  const modules = config.modules || {};
+  const topics = compileTopics(config.topics, errors);
+
+  (config.intents || []).forEach((raw, i) => {
+    const name = raw?.name || `intent ${i + 1}`;
+    if (!raw?.name) errors.push(`${name}: missing name`);
+    if (!INTENT_ACTIONS.includes(raw?.action?.type))
+      return errors.push(`${name}: action.type must be one of ${INTENT_ACTIONS.join(", ")}`);
+    if (raw.action.type === "module" && !modules[raw.action.module])
+      return errors.push(`${name}: unknown module "${raw.action.module}"`);
+    if (raw.action.topic && !topics[raw.action.topic])
+      errors.push(`${name}: unknown topic "${raw.action.topic}"`);
+
+    const patterns = [];
+    for (const p of raw.patterns || []) {
+      try {
+        patterns.push(new RegExp(p, "i"));
+      } catch (err) {
+        errors.push(`${name}: bad pattern ${p} (${err.message})`);
+      }
+    }
+    const examples = (raw.examples || []).map((e) => ({ text: e, terms: terms(e) }));
+    if (!patterns.length && !examples.length) return errors.push(`${name}: needs patterns or examples`);
+
+    intents.push({
+      name,
+      priority: Number(raw.priority) || 0,
+      minConfidence: raw.minConfidence ?? config.minConfidence ?? 0.6,
+      patterns,
+      examples,
+      action: raw.action,
+    });
+  });
+
+  return { intents, modules, topics, errors };
+}
+
+export function loadIntentRouter(file) {
+  let config = {};
+  try {
+    if (file && fs.existsSync(file)) config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error(`❌ Failed to read ${file}, intent routing disabled:`, err.message);
+  }
+  return compileIntents(config);
+}
+
+// ------------------------------------------------------
+// 🔍 Detection
+// ------------------------------------------------------
+// Every intent at or above its minConfidence, highest priority first:
+// [{ name, confidence, priority, via: "pattern" | "example", matched, action }]
+export function detectIntents(router, message) {
+  const input = String(message ?? "").trim();
+  if (!input) return [];
+  const words = terms(input);
+  const found = [];
+
+  for (const intent of router.intents) {
+    let best = null;
+    const pattern = intent.patterns.find((p) => p.test(input));
+    if (pattern) best = { confidence: 1, via: "pattern", matched: pattern.source };
+    else {
+      for (const example of intent.examples) {
+        const confidence = Number(overlap(words, example.terms).toFixed(3));
+        if (!best || confidence > best.confidence)
+          best = { confidence, via: "example", matched: example.text };
+      }
+    }
+    if (best && best.confidence >= intent.minConfidence)
+      found.push({ name: intent.name, priority: intent.priority, ...best, action: intent.action });
+  }
+
+  return found.sort((a, b) => b.priority - a.priority || b.confidence - a.confidence);
+}
+
+// First detected intent with the given action type
+export const findIntent = (intents, type) => intents.find((i) => i.action.type === type) || null;
+
+// ------------------------------------------------------
+// 🧩 Canned module intro
+// ------------------------------------------------------
+export function moduleReply(router, name) {
+  const m = router.modules[name];
+  if (!m) return null;
+  return reply(
+    text(m.title, { style: "heading", icon: m.icon || "📘" }),
+    richText(m.intro),
+    steps(m.steps || []),
+    m.link && link(m.link, "Learn more")
+  );
+}
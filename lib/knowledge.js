@@ -0,0 +1,311 @@
+// =========================================
+// 📚 Tappy Knowledge Base
+// Loads faqs_sales.json (id/title/intro/steps/next) and the
+// questions/answers files (support + general) into one entry model.
+//
+// Any entry may carry translations keyed by language code:
+//   translations: { es: { title, intro, steps, questions, next: { question, choices: [labels] } } }
+// Missing fields fall back to the English ones.
+// =========================================
+
+import fs from "fs";
+import path from "path";
+
+export const CATEGORIES = ["sales", "support", "general"];
+
+export const DEFAULT_SOURCES = [
+  { category: "sales", file: "faqs_sales.json" },
+  { category: "support", file: "faqs_support.json" },
+  { category: "general", file: "faqs_general.json" },
+];
+
+// ------------------------------------------------------
+// 🧩 Helpers
+// ------------------------------------------------------
+export const normalise = (t) =>
+  (t || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\w\s]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const isStringArray = (v) =>
+  Array.isArray(v) && v.length > 0 && v.every((s) => typeof s === "string" && s.trim());
+
+function slugify(text, maxWords = 6) {
+  return normalise(text).split(" ").filter(Boolean).slice(0, maxWords).join("-") || "entry";
+}
+
+function capitalise(text) {
+  const t = (text || "").trim();
+  return t.charAt(0).toUpperCase() + t.slice(1);
+}
+
+// ------------------------------------------------------
+// ✅ Schema validation (one error list per file)
+// ------------------------------------------------------
+function validateTranslations(translations, index) {
+  if (translations === undefined) return [];
+  if (!translations || typeof translations !== "object" || Array.isArray(translations))
+    return [`entry ${index}: translations must be an object keyed by language code`];
+
+  const errors = [];
+  for (const [code, tr] of Object.entries(translations)) {
+    const at = `entry ${index}: translations.${code}`;
+    if (!/^[a-z]{2}$/.test(code)) errors.push(`${at} – key must be a two-letter language code`);
+    if (!tr || typeof tr !== "object") {
+      errors.push(`${at} must be an object`);
+      continue;
+    }
+    for (const field of ["title", "intro"]) {
+      if (tr[field] !== undefined && typeof tr[field] !== "string")
+        errors.push(`${at}.${field} must be a string`);
+    }
+    if (tr.steps !== undefined && typeof tr.steps !== "string" && !isStringArray(tr.steps))
+      errors.push(`${at}.steps must be a string or an array`);
+    if (tr.questions !== undefined && !isStringArray(tr.questions))
+      errors.push(`${at}.questions must be a non-empty string array`);
+    if (tr.next?.question !== undefined && typeof tr.next.question !== "string")
+      errors.push(`${at}.next.question must be a string`);
+    if (tr.next?.choices !== undefined && !isStringArray(tr.next.choices))
+      errors.push(`${at}.next.choices must be an array of labels`);
+  }
+  return errors;
+}
+
+function validateSalesEntry(raw, index) {
+  const errors = [];
+  if (!raw || typeof raw !== "object") return [`entry ${index}: not an object`];
+  if (raw.id === undefined || raw.id === null || String(raw.id).trim() === "")
+    errors.push(`entry ${index}: missing id`);
+  if (typeof raw.title !== "string" || !raw.title.trim())
+    errors.push(`entry ${index}: missing title`);
+  if (raw.steps !== undefined && typeof raw.steps !== "string" && !Array.isArray(raw.steps))
+    errors.push(`entry ${index}: steps must be a string or an array`);
+  if (raw.next !== undefined) {
+    if (typeof raw.next?.question !== "string")
+      errors.push(`entry ${index}: next.question must be a string`);
+    if (raw.next?.options !== undefined && typeof raw.next.options !== "object")
+      errors.push(`entry ${index}: next.options must be an object`);
+    if (raw.next?.choices !== undefined && !Array.isArray(raw.next.choices))
+      errors.push(`entry ${index}: next.choices must be an array`);
+    if (raw.next?.capture !== undefined && typeof raw.next.capture !== "string")
+      errors.push(`entry ${index}: next.capture must be a variable name`);
+  }
+  return [...errors, ...validateTranslations(raw.translations, index)];
+}
+
+function validateQAEntry(raw, index) {
+  const errors = [];
+  if (!raw || typeof raw !== "object") return [`entry ${index}: not an object`];
+  if (!isStringArray(raw.questions)) errors.push(`entry ${index}: questions must be a non-empty string array`);
+  if (!isStringArray(raw.answers)) errors.push(`entry ${index}: answers must be a non-empty string array`);
+  return [...errors, ...validateTranslations(raw.translations, index)];
+}
+
+// ------------------------------------------------------
+// 🔄 Normalisation into the shared entry model
+// { id, category, source, title, intro, steps[], link, next, questions[], answers[], translations }
+// ------------------------------------------------------
+const toSteps = (steps) => (Array.isArray(steps) ? steps : steps ? [steps] : []);
+
+function normaliseTranslations(translations) {
+  if (!translations) return {};
+  return Object.fromEntries(
+    Object.entries(translations).map(([code, tr]) => [
+      code,
+      { ...tr, ...(tr.steps !== undefined ? { steps: toSteps(tr.steps) } : {}) },
+    ])
+  );
+}
+
+function normaliseSalesEntry(raw, category, source) {
+  return {
+    id: String(raw.id),
+    category,
+    source,
+    title: raw.title.trim(),
+    intro: raw.intro || "",
+    steps: toSteps(raw.steps),
+    link: raw.link || null,
+    next: raw.next || null,
+    questions: Array.isArray(raw.questions) ? raw.questions : [],
+    answers: [],
+    translations: normaliseTranslations(raw.translations),
+  };
+}
+
+function normaliseQAEntry(raw, category, source, usedIds) {
+  let id = raw.id ? String(raw.id) : `${category}-${slugify(raw.questions[0])}`;
+  for (let n = 2; usedIds.has(id); n++) id = `${id.replace(/-\d+$/, "")}-${n}`;
+
+  // Support answers are numbered steps; general answers are alternative
+  // phrasings of the same reply, so the first one becomes the intro.
+  const stepwise = category === "support";
+  return {
+    id,
+    category,
+    source,
+    title: capitalise(raw.title || raw.questions[0]),
+    intro: stepwise ? "" : raw.answers[0],
+    steps: stepwise ? raw.answers : [],
+    link: raw.link || null,
+    next: raw.next || null,
+    questions: raw.questions,
+    answers: raw.answers,
+    translations: normaliseTranslations(raw.translations),
+  };
+}
+
+export function normaliseEntries(rawList, category, source) {
+  const entries = [];
+  const errors = [];
+  const ids = []; // ids[rawIndex] → normalised id (undefined when invalid)
+  const usedIds = new Set();
+
+  if (!Array.isArray(rawList)) {
+    return { entries, errors: [{ source, message: "file must contain a JSON array" }], ids };
+  }
+
+  rawList.forEach((raw, index) => {
+    const qaSchema = raw && Array.isArray(raw.questions) && !raw.title;
+    const problems = qaSchema ? validateQAEntry(raw, index) : validateSalesEntry(raw, index);
+    if (problems.length) {
+      problems.forEach((message) => errors.push({ source, index, message }));
+      return;
+    }
+
+    const entry = qaSchema
+      ? normaliseQAEntry(raw, category, source, usedIds)
+      : normaliseSalesEntry(raw, category, source);
+
+    if (usedIds.has(entry.id)) {
+      errors.push({ source, index, message: `entry ${index}: duplicate id "${entry.id}"` });
+      return;
+    }
+    usedIds.add(entry.id);
+    ids[index] = entry.id;
+    entries.push(entry);
+  });
+
+  return { entries, errors, ids };
+}
+
+// ------------------------------------------------------
+// 📥 Load all sources
+// ------------------------------------------------------
+export function readSource(baseDir, { category, file }) {
+  const full = path.join(baseDir, file);
+  if (!fs.existsSync(full)) return { category, file, raw: null, error: "file not found" };
+  try {
+    return { category, file, raw: JSON.parse(fs.readFileSync(full, "utf8")) };
+  } catch (err) {
+    return { category, file, raw: null, error: `invalid JSON: ${err.message}` };
+  }
+}
+
+// Build a knowledge base from already-parsed file contents
+// ([{ category, file, raw, error? }]) – used at startup and by the admin API
+export function compileKnowledgeBase(rawSources) {
+  const entries = [];
+  const errors = [];
+  const counts = {};
+  const known = new Set();
+
+  for (const { category, file, raw, error } of rawSources) {
+    counts[category] = 0;
+    if (error) {
+      errors.push({ source: file, message: error });
+      continue;
+    }
+
+    const result = normaliseEntries(raw, category, file);
+    errors.push(...result.errors);
+
+    // Ids must be unique across files, not just within one
+    for (const entry of result.entries) {
+      if (known.has(entry.id)) {
+        errors.push({ source: file, message: `id "${entry.id}" already used by another file` });
+        continue;
+      }
+      known.add(entry.id);
+      entries.push(entry);
+      counts[category]++;
+    }
+  }
+
+  const sources = rawSources.map(({ category, file }) => ({ category, file }));
+  return { ...buildKnowledgeBase(entries, errors, counts), sources };
+}
+
+export function loadKnowledgeBase(baseDir, sources = DEFAULT_SOURCES) {
+  return compileKnowledgeBase(sources.map((src) => readSource(baseDir, src)));
+}
+
+// Files that failed to load or gave no entries – the server can't answer from them
+export function knowledgeBaseProblems(kb) {
+  const problems = [];
+  for (const { file } of kb.sources || []) {
+    if (kb.entries.some((e) => e.source === file)) continue;
+    const failed = kb.errors.find((e) => e.source === file && e.index === undefined);
+    problems.push(`${file}: ${failed ? failed.message : "no FAQ entries"}`);
+  }
+  if (!kb.entries.length && !problems.length) problems.push("no FAQ entries");
+  return problems;
+}
+
+export function buildKnowledgeBase(entries, errors = [], counts = null) {
+  const byId = new Map(entries.map((e) => [e.id, e]));
+  const tally = counts || {};
+  if (!counts) for (const e of entries) tally[e.category] = (tally[e.category] || 0) + 1;
+  return { entries, byId, errors, counts: tally, loadedAt: new Date().toISOString() };
+}
+
+// ------------------------------------------------------
+// 🌍 Translated view of an entry (the entry itself when there is none)
+// ------------------------------------------------------
+export function localizeEntry(entry, locale) {
+  const tr = entry?.translations?.[locale];
+  if (!tr) return entry;
+
+  let next = entry.next;
+  if (next && tr.next) {
+    // Translated labels keep the English ones as synonyms
+    const labels = tr.next.choices || [];
+    next = {
+      ...next,
+      question: tr.next.question ?? next.question,
+      ...(Array.isArray(next.choices)
+        ? {
+            choices: next.choices.map((c, i) =>
+              labels[i] ? { ...c, label: labels[i], synonyms: [c.label, ...(c.synonyms || [])] } : c
+            ),
+          }
+        : {}),
+    };
+  }
+
+  return {
+    ...entry,
+    title: tr.title ?? entry.title,
+    intro: tr.intro ?? entry.intro,
+    steps: tr.steps ?? entry.steps,
+    questions: tr.questions ?? entry.questions,
+    next,
+  };
+}
+
+// ------------------------------------------------------
+// 🎯 Exact title / question lookup (any language)
+// ------------------------------------------------------
+export function findExactEntry(kb, message) {
+  const target = normalise(message);
+  if (!target) return null;
+  const matches = ({ title, questions }) =>
+    normalise(title) === target || (questions || []).some((q) => normalise(q) === target);
+  return (
+    kb.entries.find((e) => matches(e) || Object.values(e.translations || {}).some(matches)) || null
+  );
+}
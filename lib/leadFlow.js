@@ -0,0 +1,243 @@
+// =========================================
+// 💼 Lead Capture Flow
+// Slot-filling conversation for quote / demo requests:
+// name → company → email → phone → venue type → sites → comments → confirm
+// State lives on the chat session under `session.lead`. A lead started from
+// the quote builder (lib/quoteFlow.js) skips what it already knows and
+// carries the indicative quote through to the lead record.
+// =========================================
+
+import { escapeHtml } from "./html.js";
+import { reply, text, richText, options, form, yesno as askYesNo } from "./replies.js";
+import { LEAD_FIELDS, VENUE_TYPES, detectEmailTypo, validateField } from "./leads.js";
+import { quoteTotals } from "./catalogue.js";
+
+const OPTIONAL = new Set(["phone", "comments"]);
+
+const FIELD_LABELS = {
+  name: "Name",
+  company: "Company",
+  email: "Email",
+  phone: "Phone",
+  venueType: "Venue type",
+  sites: "Number of sites",
+  comments: "Comments",
+};
+
+// Words a visitor might use to pick a field to correct – the longest one
+// named wins, so "number of sites" is sites rather than the phone number
+const FIELD_ALIASES = {
+  name: ["name", "my name", "your name", "full name"],
+  company: ["company", "business", "company name", "business name"],
+  email: ["email", "e mail", "mail", "email address"],
+  phone: ["phone", "number", "mobile", "telephone", "phone number", "mobile number"],
+  venueType: ["venue", "type", "venue type", "type of venue", "business type", "type of business"],
+  sites: ["sites", "site", "locations", "number of sites", "how many sites"],
+  comments: ["comments", "comment", "notes"],
+};
+
+function pickField(input) {
+  const padded = ` ${input.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim()} `;
+  const named = LEAD_FIELDS.flatMap((field) =>
+    FIELD_ALIASES[field].filter((alias) => padded.includes(` ${alias} `)).map((alias) => ({ field, alias }))
+  );
+  named.sort((a, b) => b.alias.length - a.alias.length);
+  return named[0]?.field ?? null;
+}
+
+export const isYes = (text) => /^(y|yes|yeah|yep|yup|sure|ok|okay|please|go ahead|correct)\b/i.test(text.trim());
+export const isNo = (text) => /^(n|no|nope|nah|not now|no thanks)\b/i.test(text.trim());
+export const isCancel = (text) => /^(cancel|stop|quit|exit|never ?mind)\b/i.test(text.trim());
+const isSkip = (text) => /^(skip|none|n\/a|no)\b/i.test(text.trim());
+
+// ------------------------------------------------------
+// 💬 Prompts
+// ------------------------------------------------------
+const FIELD_INPUTS = { email: "email", phone: "tel", sites: "number" };
+
+function prompt(field, data) {
+  const ask = (question) =>
+    reply(question, form(field, FIELD_INPUTS[field] || "text", OPTIONAL.has(field)));
+  switch (field) {
+    case "name":
+      return ask(text("Great – I just need a few details. 😊\nWhat’s your name?"));
+    case "company":
+      return ask(text(`Thanks ${data.name}! What’s the name of your business?`));
+    case "email":
+      return ask(text("What’s the best email address to reach you on?"));
+    case "phone":
+      return ask(richText("And a phone number? (or type <em>skip</em>)"));
+    case "venueType":
+      return reply(text("What type of venue is it?"), options(VENUE_TYPES));
+    case "sites":
+      return ask(text("How many sites (venues) do you have?"));
+    case "comments":
+      return ask(
+        richText(
+          "Anything else we should know – e.g. number of tills or when you’d like to go live? (or type <em>skip</em>)"
+        )
+      );
+    default:
+      return reply();
+  }
+}
+
+function summary(data) {
+  return LEAD_FIELDS.filter((f) => data[f] !== undefined && data[f] !== "")
+    .map((f) => `<strong>${FIELD_LABELS[f]}:</strong> ${escapeHtml(data[f])}`)
+    .join("<br>");
+}
+
+const yesno = (title, intro, question) =>
+  reply(text(title, { style: "heading" }), richText(intro), askYesNo(question));
+
+function confirmReply(lead) {
+  const quote = lead.quote
+    ? `<br><strong>Indicative quote:</strong> ${escapeHtml(quoteTotals(lead.quote))}`
+    : "";
+  return yesno(
+    lead.kind === "demo" ? "Your demo request" : "Your quote request",
+    summary(lead.data) + quote,
+    "Is everything correct? Shall I send this to our sales team?"
+  );
+}
+
+function nextField(lead) {
+  return LEAD_FIELDS.find((f) => !(f in lead.data));
+}
+
+function advance(lead) {
+  if (lead.editing) {
+    lead.editing = false;
+    lead.step = "confirm";
+    return confirmReply(lead);
+  }
+  const field = nextField(lead);
+  lead.step = field || "confirm";
+  return field ? prompt(field, lead.data) : confirmReply(lead);
+}
+
+// ------------------------------------------------------
+// 🚀 Entry points
+// ------------------------------------------------------
+// `builder` – the quote builder is available, so "yes" starts it rather than the lead flow
+export function offerQuote(session, { builder = false } = {}) {
+  session.awaitingQuoteDecision = builder ? "builder" : "sales";
+  return yesno(
+    "Pricing & quotes",
+    "💡 Our pricing depends on your venue, the number of tills and the modules you need.",
+    builder
+      ? "Shall I work out an indicative price for you? It only takes four quick questions."
+      : "Would you like a personalised quote or a demo from our sales team?"
+  );
+}
+
+const wantsDemo = (message) => /\bdemo|demonstration|walkthrough\b/i.test(message);
+
+// `data` – answers already given (e.g. by the quote builder), `quote` – its quote
+export function startLeadFlow(session, message = "", { data = {}, quote = null } = {}) {
+  session.awaitingQuoteDecision = false;
+  session.lead = {
+    kind: !quote && wantsDemo(message) ? "demo" : "quote",
+    step: "name",
+    data: { ...data },
+    ...(quote ? { quote } : {}),
+    startedAt: new Date().toISOString(),
+  };
+  return advance(session.lead);
+}
+
+// Answer to "would you like a quote?" – null when the visitor moved on.
+// `startBuilder(session)` opens the quote builder when that was offered.
+export function handleQuoteDecision(session, message, startBuilder = null) {
+  if (!session.awaitingQuoteDecision) return null;
+  if (isYes(message))
+    return session.awaitingQuoteDecision === "builder" && startBuilder
+      ? startBuilder(session)
+      : startLeadFlow(session, message);
+  session.awaitingQuoteDecision = false;
+  if (isNo(message))
+    return reply(text("No problem! 👍 Ask me anything else about RST EPOS – I’m happy to help."));
+  return null;
+}
+
+// One turn of an active lead flow. `submit(data, kind, quote)` stores the lead
+// and returns { duplicate }. Returns null when no flow is active.
+export function handleLeadMessage(session, message, submit) {
+  const lead = session.lead;
+  if (!lead) return null;
+  const input = (message || "").trim();
+
+  if (isCancel(input)) {
+    session.lead = null;
+    return reply(text("Okay, I’ve cancelled that request. Is there anything else I can help with?"));
+  }
+
+  // Email typo suggestion awaiting yes/no
+  if (lead.pendingEmail) {
+    const { original, suggestion } = lead.pendingEmail;
+    lead.pendingEmail = null;
+    if (isYes(input)) lead.data.email = suggestion;
+    else if (isNo(input)) {
+      // Kept as typed – but it still has to be an email address
+      const { value, error } = validateField("email", original);
+      if (error) return reply(richText(`⚠️ ${error}`), form("email", "email"));
+      lead.data.email = value;
+    } else return handleLeadMessage(session, input, submit); // treat as a fresh email entry
+    return advance(lead);
+  }
+
+  if (lead.step === "confirm") {
+    if (isYes(input)) {
+      const { duplicate } = submit(lead.data, lead.kind, lead.quote);
+      const name = lead.data.name;
+      session.lead = null;
+      return reply(
+        text(
+          duplicate
+            ? `✅ Thanks ${name}! We already had your details, so I’ve updated your existing enquiry – our sales team will be in touch shortly.`
+            : `✅ Thanks ${name}! Your ${lead.kind} request has been sent – our sales team will be in touch shortly.`
+        )
+      );
+    }
+    if (isNo(input)) {
+      lead.step = "edit";
+      return reply(
+        richText(
+          `No problem – which detail would you like to change? (${Object.values(FIELD_LABELS)
+            .join(", ")
+            .toLowerCase()}) or type <em>cancel</em>.`
+        )
+      );
+    }
+    return confirmReply(lead);
+  }
+
+  if (lead.step === "edit") {
+    const field = pickField(input);
+    if (!field) return reply(richText("Sorry, which detail? For example <em>email</em> or <em>phone</em>."));
+    lead.step = field;
+    lead.editing = true;
+    delete lead.data[field];
+    return prompt(field, lead.data);
+  }
+
+  const field = lead.step;
+  if (OPTIONAL.has(field) && isSkip(input)) {
+    lead.data[field] = "";
+    return advance(lead);
+  }
+
+  if (field === "email") {
+    const suggestion = detectEmailTypo(input);
+    if (suggestion && suggestion !== input.toLowerCase()) {
+      lead.pendingEmail = { original: input.toLowerCase(), suggestion };
+      return yesno("Quick check", "", `Did you mean <strong>${escapeHtml(suggestion)}</strong>?`);
+    }
+  }
+
+  const { value, error } = validateField(field, input);
+  if (error) return reply(richText(`⚠️ ${error}`), field === "venueType" ? options(VENUE_TYPES) : null);
+  lead.data[field] = value;
+  return advance(lead);
+}
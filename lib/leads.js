@@ -0,0 +1,234 @@
+// =========================================
+// 📇 Sales Leads
+// Field validation, email typo hints and the sales_leads.jsonl store
+// (one record per email address – repeat enquiries update it).
+// =========================================
+
+import { readJSONLines, writeFileAtomic, removeJSONLines } from "./fileStore.js";
+
+export const LEAD_FIELDS = ["name", "company", "email", "phone", "venueType", "sites", "comments"];
+
+export const VENUE_TYPES = [
+  "Restaurant",
+  "Bar / Pub",
+  "Café / Coffee Shop",
+  "Hotel",
+  "Takeaway / Fast Food",
+  "Retail",
+  "Other",
+];
+
+// ------------------------------------------------------
+// ✉️ Email helpers (from the v9 lead flow)
+// ------------------------------------------------------
+const validDomains = ["gmail.com", "outlook.com", "hotmail.com", "yahoo.com", "icloud.com"];
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test((email || "").trim());
+
+export function detectEmailTypo(email) {
+  const lower = (email || "").toLowerCase().trim();
+  const domain = lower.split("@")[1];
+  if (!domain) return null;
+  const corrections = {
+    "gamil.com": "gmail.com",
+    "gmal.com": "gmail.com",
+    "gnail.com": "gmail.com",
+    "gmail.con": "gmail.com",
+    "gmail.co": "gmail.com",
+    "outlok.com": "outlook.com",
+    "outlook.cmo": "outlook.com",
+    "hotmial.com": "hotmail.com",
+    "hotmail.con": "hotmail.com",
+    "yahho.com": "yahoo.com",
+    "yahoo.con": "yahoo.com",
+    "iclod.com": "icloud.com",
+    "icloud.cmo": "icloud.com",
+  };
+  if (corrections[domain]) return lower.replace(domain, corrections[domain]);
+  for (const valid of validDomains) {
+    const short = valid.replace(".com", "");
+    if (domain === short) return lower.replace(domain, valid);
+  }
+  return null;
+}
+
+// Words that name each venue type – "gastro pub", "coffee shop", "takeaway"
+const VENUE_SYNONYMS = {
+  Restaurant: ["restaurant", "restaurants", "bistro", "brasserie", "diner", "dining"],
+  "Bar / Pub": ["bar", "bars", "pub", "pubs", "inn", "nightclub", "club", "brewery", "taproom"],
+  "Café / Coffee Shop": ["cafe", "cafes", "coffee", "bakery", "tearoom", "tea room"],
+  Hotel: ["hotel", "hotels", "b b", "bed and breakfast", "guest house", "guesthouse", "resort"],
+  "Takeaway / Fast Food": [
+    "takeaway",
+    "take away",
+    "fast food",
+    "pizza",
+    "pizzeria",
+    "chippy",
+    "kebab",
+    "burger",
+  ],
+  Retail: ["retail", "shop", "store", "boutique", "convenience", "farm shop", "gift shop"],
+  Other: ["other", "something else"],
+};
+
+// "2", "Bar / Pub", "we run a small pub" → the venue type, or null. Answers
+// naming no venue ("yes", "skip") or more than one are not guessed at.
+function matchVenueType(input) {
+  const plain = (s) =>
+    String(s ?? "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "")
+      .replace(/[^\p{L}\p{N}]+/gu, " ")
+      .trim();
+  const answer = plain(input);
+  if (/^\d+$/.test(answer)) return VENUE_TYPES[Number(answer) - 1] || null;
+  const exact = VENUE_TYPES.find((v) => plain(v) === answer);
+  if (exact) return exact;
+  const padded = ` ${answer} `;
+  const named = VENUE_TYPES.filter((v) =>
+    [v, ...(VENUE_SYNONYMS[v] || [])].some((word) => padded.includes(` ${plain(word)} `))
+  );
+  return named.length === 1 ? named[0] : null;
+}
+
+// ------------------------------------------------------
+// ✅ Field validation → { value } or { error }
+// ------------------------------------------------------
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+export function validateField(field, input) {
+  const text = (input || "").trim();
+  switch (field) {
+    case "name":
+      return /\p{L}{2,}/u.test(text) && text.length <= 80
+        ? { value: text }
+        : { error: "Please enter your name (at least two letters)." };
+    case "company":
+      return text.length >= 1 && text.length <= 120
+        ? { value: text }
+        : { error: "Please enter your business or company name." };
+    case "email":
+      return isValidEmail(text)
+        ? { value: text.toLowerCase() }
+        : { error: "That doesn’t look like a valid email address – could you check it?" };
+    case "phone": {
+      const digits = text.replace(/\D/g, "");
+      return /^[+\d\s()-]+$/.test(text) && digits.length >= 7 && digits.length <= 15
+        ? { value: text.replace(/\s+/g, " ") }
+        : { error: "Please enter a phone number (7–15 digits), or type <em>skip</em>." };
+    }
+    case "venueType": {
+      const venueType = matchVenueType(text);
+      return venueType
+        ? { value: venueType }
+        : { error: "Please choose a venue type from the list – or pick Other." };
+    }
+    case "sites": {
+      const lower = text.toLowerCase();
+      const n = NUMBER_WORDS[lower] ?? parseInt(lower.replace(/[^\d]/g, ""), 10);
+      return Number.isInteger(n) && n >= 1 && n <= 999
+        ? { value: n }
+        : { error: "How many sites do you have? Please enter a number, e.g. 1 or 3." };
+    }
+    // Quote builder – tills across all sites
+    case "tills": {
+      const lower = text.toLowerCase();
+      const n = NUMBER_WORDS[lower] ?? parseInt(lower.replace(/[^\d]/g, ""), 10);
+      return Number.isInteger(n) && n >= 1 && n <= 999
+        ? { value: n }
+        : { error: "How many tills do you need in total? Please enter a number, e.g. 2." };
+    }
+    case "comments":
+      return { value: text.slice(0, 1000) };
+    default:
+      return { error: `Unknown field ${field}` };
+  }
+}
+
+// ------------------------------------------------------
+// 💾 Store – sales_leads.jsonl, de-duplicated by email
+// ------------------------------------------------------
+// Older lines may repeat an email; later lines win field by field
+function mergeByEmail(records) {
+  const byEmail = new Map();
+  const out = [];
+  for (const r of records) {
+    const key = (r.email || "").toLowerCase().trim();
+    if (!key || !isValidEmail(key)) {
+      out.push(r);
+      continue;
+    }
+    const existing = byEmail.get(key);
+    if (existing) {
+      Object.assign(existing, stripEmpty(r), { time: existing.time, updatedAt: r.updatedAt || r.time });
+    } else {
+      const copy = { ...r, email: key };
+      byEmail.set(key, copy);
+      out.push(copy);
+    }
+  }
+  return out;
+}
+
+const stripEmpty = (obj) =>
+  Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && v !== ""));
+
+export function createLeadStore(file) {
+  return {
+    list() {
+      return mergeByEmail(readJSONLines(file));
+    },
+
+    // Returns { lead, duplicate } – duplicate when the email was already known
+    upsert(lead) {
+      const now = new Date().toISOString();
+      const email = (lead.email || "").toLowerCase().trim();
+      const records = mergeByEmail(readJSONLines(file));
+      const existing = records.find((r) => (r.email || "").toLowerCase() === email);
+
+      let saved;
+      if (existing) {
+        saved = Object.assign(existing, stripEmpty(lead), { email, time: existing.time, updatedAt: now });
+      } else {
+        saved = { time: now, ...stripEmpty(lead), email };
+        records.push(saved);
+      }
+
+      writeFileAtomic(file, records.map((r) => JSON.stringify(r)).join("\n") + "\n");
+      return { lead: saved, duplicate: Boolean(existing) };
+    },
+
+    // Retention and erasure – drops the records `test` matches → how many
+    remove: (test) => removeJSONLines(file, test),
+  };
+}
+
+// ------------------------------------------------------
+// 📤 CSV export
+// ------------------------------------------------------
+const csvCell = (v) => {
+  const s = v === undefined || v === null ? "" : String(v);
+  // Leading =,+,-,@ would be run as a formula by spreadsheet apps (phone numbers are fine)
+  const safe = /^[=+\-@]/.test(s) && !/^\+?[\d\s()-]+$/.test(s) ? `'${s}` : s;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// An attached quote becomes its totals and a one-line list of items
+const flattenQuote = ({ quote, ...lead }) =>
+  quote
+    ? {
+        ...lead,
+        quoteOneOff: quote.totals?.oneOff,
+        quoteMonthly: quote.totals?.monthly,
+        quoteItems: (quote.lines || []).map((l) => `${l.quantity} x ${l.name}`).join("; "),
+      }
+    : lead;
+
+export function leadsToCSV(records) {
+  const leads = records.map(flattenQuote);
+  const columns = ["time", "updatedAt", "kind", ...LEAD_FIELDS, "source", "ip"];
+  const extra = [...new Set(leads.flatMap((l) => Object.keys(l)))].filter((k) => !columns.includes(k));
+  const header = [...columns, ...extra];
+  return [header.join(","), ...leads.map((l) => header.map((k) => csvCell(l[k])).join(","))].join("\n") + "\n";
+}
@@ -0,0 +1,146 @@
+// =========================================
+// 🤖 LLM Fallback Providers
+// Only used once FAQ and page search have failed. Every provider gets
+// the same grounded prompt: the closest FAQ entries and site passages.
+//
+// LLM_PROVIDER = openai | openai-compatible | stub | none
+//   openai             → OPENAI_API_KEY, LLM_MODEL (default gpt-4o-mini)
+//   openai-compatible  → LLM_BASE_URL, LLM_API_KEY (optional), LLM_MODEL
+//   stub               → deterministic answers for tests, no network
+//
+// complete(messages, { onToken }) resolves with the whole answer; with
+// `onToken` each piece is also handed over as it arrives (streaming chat).
+// =========================================
+
+import OpenAI from "openai";
+import { escapeHtml } from "./html.js";
+
+export const OFF_TOPIC = "[[OFF_TOPIC]]";
+
+const SYSTEM_PROMPT = `You are Tappy, the RST EPOS assistant.
+Answer ONLY questions about RST EPOS and its products (TapaPOS, TapaPay, Tapa Office, Tapa KDS,
+Tapa Table, GiveaVoucher, iWantFed) using the CONTEXT provided. Do not invent prices, features
+or contact details that are not in the CONTEXT.
+If the question is unrelated to RST EPOS, or the CONTEXT does not contain the answer, reply with
+exactly ${OFF_TOPIC} and nothing else.
+Keep answers under 120 words. Use short numbered steps for instructions.`;
+
+// ------------------------------------------------------
+// 🧾 Prompt
+// ------------------------------------------------------
+export function buildContext({ faqs = [], passages = [] }) {
+  const blocks = [];
+  faqs.forEach((f, i) => {
+    const body = [f.intro, ...(f.steps || [])].filter(Boolean).join(" ");
+    blocks.push(`[FAQ ${i + 1}] ${f.title}\n${body}`);
+  });
+  passages.forEach((p, i) => {
+    blocks.push(`[PAGE ${i + 1}] ${p.title} (${p.url})\n${p.intro}`);
+  });
+  return blocks.join("\n\n");
+}
+
+// `language` – reply in the visitor's language rather than English
+export function buildMessages(question, context, topic = null, language = null) {
+  const extra = (topic ? `\nCurrent topic: ${topic}.` : "") + (language ? `\nReply in ${language}.` : "");
+  return [
+    { role: "system", content: SYSTEM_PROMPT + extra },
+    { role: "user", content: `CONTEXT:\n${context || "(none)"}\n\nQUESTION: ${question}` },
+  ];
+}
+
+// Markdown-ish model output → widget HTML (same rules as the v9 formatSteps).
+// The text is escaped first so only the tags added here reach the page – model
+// output (and the answers cached from it) is untrusted. The <br>s the v9
+// formatter left in older cached answers become line breaks again.
+export const formatAnswerText = (t) =>
+  escapeHtml((t || "").replace(/<br\s*\/?>/gi, "\n"))
+    .trim()
+    .replace(/\n+/g, "<br>")
+    .replace(/(Step\s?\d+[:.)])/gi, "<br><strong>$1</strong> ")
+    .replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>")
+    .replace(/\*(.*?)\*/g, "<em>$1</em>")
+    .replace(/(<br>){2,}/g, "<br>")
+    .replace(/^<br>/, "");
+
+// ------------------------------------------------------
+// 🔌 Providers
+// ------------------------------------------------------
+function openAIProvider({ name, apiKey, baseURL, model, timeoutMs }) {
+  const client = new OpenAI({ apiKey, baseURL, timeout: timeoutMs, maxRetries: 1 });
+  return {
+    name,
+    model,
+    async complete(messages, { maxTokens = 220, temperature = 0.2, onToken } = {}) {
+      const request = { model, messages, temperature, max_tokens: maxTokens };
+      if (!onToken) {
+        const completion = await client.chat.completions.create(request);
+        return completion.choices?.[0]?.message?.content || "";
+      }
+      let answer = "";
+      const stream = await client.chat.completions.create({ ...request, stream: true });
+      for await (const chunk of stream) {
+        const token = chunk.choices?.[0]?.delta?.content;
+        if (!token) continue;
+        answer += token;
+        onToken(token);
+      }
+      return answer;
+    },
+  };
+}
+
+// Answers with the first context block, or refuses when the question
+// shares no meaningful word with the context (streamed word by word)
+function stubProvider() {
+  const answer = (text, onToken) => {
+    if (onToken) text.split(/(?<= )/).forEach(onToken);
+    return text;
+  };
+  return {
+    name: "stub",
+    model: "stub",
+    async complete(messages, { onToken } = {}) {
+      const user = messages.find((m) => m.role === "user")?.content || "";
+      const [contextPart, question = ""] = user.split("QUESTION:");
+      const context = contextPart.replace(/^CONTEXT:\s*/, "").trim();
+      const words = question.toLowerCase().match(/[a-z]{4,}/g) || [];
+      const lowerContext = context.toLowerCase();
+      if (!context || context === "(none)" || !words.some((w) => lowerContext.includes(w)))
+        return answer(OFF_TOPIC, onToken);
+      const first = context.split("\n\n")[0].split("\n").slice(1).join(" ");
+      return answer(`Based on our documentation: ${first.slice(0, 240)}`, onToken);
+    },
+  };
+}
+
+export function createLLMProvider(env = process.env) {
+  const timeoutMs = Number(env.LLM_TIMEOUT_MS) || 15000;
+  const provider = env.LLM_PROVIDER || (env.OPENAI_API_KEY ? "openai" : "none");
+
+  switch (provider) {
+    case "openai":
+      if (!env.OPENAI_API_KEY) throw new Error("LLM_PROVIDER=openai needs OPENAI_API_KEY");
+      return openAIProvider({
+        name: "openai",
+        apiKey: env.OPENAI_API_KEY,
+        model: env.LLM_MODEL || "gpt-4o-mini",
+        timeoutMs,
+      });
+    case "openai-compatible":
+      if (!env.LLM_BASE_URL) throw new Error("LLM_PROVIDER=openai-compatible needs LLM_BASE_URL");
+      return openAIProvider({
+        name: "openai-compatible",
+        apiKey: env.LLM_API_KEY || "not-needed",
+        baseURL: env.LLM_BASE_URL,
+        model: env.LLM_MODEL || "llama3",
+        timeoutMs,
+      });
+    case "stub":
+      return stubProvider();
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${provider}"`);
+  }
+}
@@ -0,0 +1,98 @@
+// =========================================
+// 🪵 Structured Logging
+// Every console.log / warn / error becomes one JSON line:
+//   {"time":"…","level":"info","msg":"🤖 Auto-selected: …","requestId":"…","session":"…"}
+// `requestId` and `session` come from the request being handled
+// (AsyncLocalStorage), so lines written anywhere while answering it carry
+// them without passing anything around. `session` is a hash of the session
+// cookie – the cookie itself would let whoever reads the logs take over the chat.
+//
+// LOG_FORMAT = json (default) | pretty   ← the plain emoji lines, for local dev
+// LOG_LEVEL  = debug | info (default) | warn | error
+// `redact` (privacy.json) takes email addresses and phone numbers out of messages.
+// =========================================
+
+import crypto from "crypto";
+import util from "util";
+import { AsyncLocalStorage } from "async_hooks";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+const requests = new AsyncLocalStorage();
+// The original console, for pretty output once console itself is redirected
+const stdout = console.log.bind(console);
+const stderr = console.error.bind(console);
+
+export const sessionRef = (sessionId) =>
+  sessionId ? crypto.createHash("sha256").update(String(sessionId)).digest("hex").slice(0, 12) : null;
+
+// ------------------------------------------------------
+// ✍️ Logger
+// ------------------------------------------------------
+export function createLogger({ format = "json", level = "info", redact = (msg) => msg } = {}) {
+  const min = Math.max(LOG_LEVELS.indexOf(level), 0);
+
+  function write(lvl, text, fields = {}) {
+    if (LOG_LEVELS.indexOf(lvl) < min) return;
+    const msg = redact(text);
+    const context = requests.getStore() || {};
+    const out = lvl === "error" || lvl === "warn" ? stderr : stdout;
+    if (format === "pretty") {
+      const extra = Object.entries(fields)
+        .filter(([, v]) => v !== undefined && v !== null)
+        .map(([k, v]) => `${k}=${typeof v === "object" ? JSON.stringify(v) : v}`)
+        .join(" ");
+      return out(extra ? `${msg} ${extra}` : msg);
+    }
+    const line = {
+      time: new Date().toISOString(),
+      level: lvl,
+      msg,
+      ...(context.requestId ? { requestId: context.requestId } : {}),
+      ...(context.session ? { session: context.session } : {}),
+      ...fields,
+    };
+    out(JSON.stringify(line));
+  }
+
+  return {
+    write,
+    ...Object.fromEntries(LOG_LEVELS.map((l) => [l, (msg, fields) => write(l, msg, fields)])),
+  };
+}
+
+// console.* → the logger; an Error among the arguments becomes `error` { message, stack }
+export function installConsole(logger) {
+  const forward = (level) => (...args) => {
+    const err = args.find((a) => a instanceof Error);
+    const rest = args.filter((a) => a !== err);
+    const msg = util.format(...rest).trim();
+    logger.write(level, msg, err ? { error: { message: err.message, stack: err.stack } } : {});
+  };
+  console.debug = forward("debug");
+  console.log = forward("info");
+  console.info = forward("info");
+  console.warn = forward("warn");
+  console.error = forward("error");
+}
+
+// ------------------------------------------------------
+// 🔖 Request context
+// ------------------------------------------------------
+// Caller-supplied ids are kept (so a proxy's id follows the request through)
+// when they look like ids; anything else gets a fresh one
+export function newRequestId(incoming) {
+  return typeof incoming === "string" && /^[\w.-]{8,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+// Runs the rest of the request inside its log context – mount after the body
+// and cookie parsers, which lose AsyncLocalStorage across their stream events
+export const bindRequestContext = () => (req, res, next) =>
+  requests.run({ requestId: req.id, session: sessionRef(req.cookies?.sessionId) }, next);
+
+// A new or reset session mid-request – later lines use it
+export function setLogSession(sessionId) {
+  const context = requests.getStore();
+  if (context) context.session = sessionRef(sessionId);
+}
@@ -0,0 +1,109 @@
+// =========================================
+// 📈 Prometheus Metrics
+// A small in-process registry rendered in the Prometheus text format
+// (version 0.0.4) for GET /metrics:
+//   counter(name, help, labels)            → inc(labels, n = 1)
+//   histogram(name, help, labels, buckets) → observe(labels, value)
+//   gauge(name, help, collect)             → collect() runs at scrape time and
+//                                            returns a number or [{ labels, value }]
+// =========================================
+
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const labelText = (labels) => {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escape(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+};
+// One series per distinct label set, in the order the label names were declared
+const seriesKey = (names, labels) => JSON.stringify(names.map((n) => labels[n] ?? ""));
+const pick = (names, labels) => Object.fromEntries(names.map((n) => [n, labels[n] ?? ""]));
+
+export function createMetrics() {
+  const metrics = [];
+
+  return {
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      metrics.push({
+        name,
+        help,
+        type: "counter",
+        lines: () => [...series.values()].map((s) => `${name}${labelText(s.labels)} ${s.value}`),
+      });
+      return {
+        inc(labels = {}, n = 1) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) series.set(key, { labels: pick(labelNames, labels), value: 0 });
+          series.get(key).value += n;
+        },
+        // Sum over every series whose labels include `match`
+        total(match = {}) {
+          let sum = 0;
+          for (const s of series.values())
+            if (Object.entries(match).every(([k, v]) => s.labels[k] === v)) sum += s.value;
+          return sum;
+        },
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+      const series = new Map();
+      metrics.push({
+        name,
+        help,
+        type: "histogram",
+        lines: () =>
+          [...series.values()].flatMap((s) => [
+            ...buckets.map((le, i) => `${name}_bucket${labelText({ ...s.labels, le })} ${s.counts[i]}`),
+            `${name}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${s.count}`,
+            `${name}_sum${labelText(s.labels)} ${Number(s.sum.toFixed(6))}`,
+            `${name}_count${labelText(s.labels)} ${s.count}`,
+          ]),
+      });
+      return {
+        observe(labels, value) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) {
+            const empty = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+            series.set(key, { labels: pick(labelNames, labels), ...empty });
+          }
+          const s = series.get(key);
+          buckets.forEach((le, i) => {
+            if (value <= le) s.counts[i]++;
+          });
+          s.sum += value;
+          s.count++;
+        },
+      };
+    },
+
+    gauge(name, help, collect) {
+      metrics.push({
+        name,
+        help,
+        type: "gauge",
+        lines: async () => {
+          const value = await collect();
+          const values = Array.isArray(value) ? value : [{ labels: {}, value }];
+          return values
+            .filter((v) => Number.isFinite(v.value))
+            .map((v) => `${name}${labelText(v.labels || {})} ${v.value}`);
+        },
+      });
+    },
+
+    async render() {
+      const out = [];
+      for (const m of metrics) {
+        out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+        try {
+          out.push(...(await m.lines()));
+        } catch (err) {
+          console.error(`❌ Metric ${m.name} failed:`, err.message);
+        }
+      }
+      return out.join("\n") + "\n";
+    },
+  };
+}
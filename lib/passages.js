@@ -0,0 +1,168 @@
+// =========================================
+// 📄 Website Passages
+// Chunks the scraped staging.rstepos.com pages in cache/ into short
+// passages, indexes them and answers with a citation when no FAQ fits.
+// =========================================
+
+import fs from "fs";
+import path from "path";
+import { buildSearchIndex, searchIndex, tokenize } from "./ranking.js";
+import { reply, text, citation } from "./replies.js";
+
+export const DEFAULT_SITE_URL = "https://staging.rstepos.com";
+
+const ACRONYMS = new Set(["pos", "epos", "pci", "pms", "kds", "faq", "faqs"]);
+
+// ------------------------------------------------------
+// 🔗 Cache filename → page URL
+// "https___staging_rstepos_com_bar_pos_html.txt" → https://staging.rstepos.com/bar-pos.html
+// ------------------------------------------------------
+export const cacheSlug = (url) => url.replace(/[^a-z0-9]/gi, "_");
+
+function pathFromSlug(rest) {
+  if (!rest) return "/";
+  const html = rest.endsWith("_html");
+  const slug = html ? rest.slice(0, -5) : rest;
+  return `/${slug.replace(/_/g, "-")}${html ? ".html" : ""}`;
+}
+
+export function urlFromCacheFile(file, siteUrl = DEFAULT_SITE_URL) {
+  const name = path.basename(file).replace(/\.txt$/, "");
+  const origin = new URL(siteUrl).origin;
+  const prefix = cacheSlug(origin + "/");
+
+  if (name.startsWith(prefix)) return origin + pathFromSlug(name.slice(prefix.length));
+  if (name === cacheSlug(origin)) return origin + "/";
+
+  // Unknown host – best effort: scheme, then host up to a common TLD
+  const m = name.match(/^(https?)___(.+?_(?:com|co_uk|ie|net|org|io))(?:_(.*))?$/);
+  if (!m) return null;
+  return `${m[1]}://${m[2].replace(/_/g, ".")}${pathFromSlug(m[3] || "")}`;
+}
+
+function titleFromUrl(url) {
+  const page = new URL(url).pathname.replace(/\.html?$/, "").replace(/^\//, "");
+  if (!page || page === "index") return "RST EPOS Home";
+  return page
+    .split("-")
+    .map((w) => (ACRONYMS.has(w) ? w.toUpperCase() : w.charAt(0).toUpperCase() + w.slice(1)))
+    .join(" ");
+}
+
+// ------------------------------------------------------
+// ✂️ Chunking – sentence-aligned windows with one sentence of overlap
+// ------------------------------------------------------
+export function chunkText(text, { maxWords = 60 } = {}) {
+  const sentences = (text || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .split(/(?<=[.!?])\s+/)
+    .flatMap((s) => {
+      // Scraped nav/hero text often has no punctuation – split long runs by words
+      const words = s.split(" ");
+      if (words.length <= maxWords) return [s];
+      const parts = [];
+      for (let i = 0; i < words.length; i += maxWords) parts.push(words.slice(i, i + maxWords).join(" "));
+      return parts;
+    })
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = [];
+  let count = 0;
+  for (const sentence of sentences) {
+    const n = sentence.split(" ").length;
+    if (count + n > maxWords && current.length) {
+      chunks.push(current.join(" "));
+      const overlap = current[current.length - 1];
+      current = overlap.split(" ").length < maxWords / 2 ? [overlap] : [];
+      count = current.length ? overlap.split(" ").length : 0;
+    }
+    current.push(sentence);
+    count += n;
+  }
+  if (current.length) chunks.push(current.join(" "));
+  return chunks;
+}
+
+// ------------------------------------------------------
+// 📥 Load cache/ → pages → passages
+// ------------------------------------------------------
+// The crawler's index.json manifest (when present) supplies the real
+// URL and page title; older files fall back to the filename.
+function readPageManifest(cacheDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(cacheDir, "index.json"), "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+export function loadPages(cacheDir, { siteUrl = DEFAULT_SITE_URL } = {}) {
+  if (!fs.existsSync(cacheDir)) return [];
+  const manifest = readPageManifest(cacheDir);
+  return fs
+    .readdirSync(cacheDir)
+    .filter((f) => f.endsWith(".txt"))
+    .sort()
+    .map((file) => {
+      const meta = manifest[file] || {};
+      const url = meta.url || urlFromCacheFile(file, siteUrl);
+      const text = fs.readFileSync(path.join(cacheDir, file), "utf8");
+      if (!url || !text.trim()) return null;
+      return { file, url, title: meta.title || titleFromUrl(url), text };
+    })
+    .filter(Boolean);
+}
+
+export function buildPassageIndex(pages, rankingConfig, { maxWords = 60 } = {}) {
+  const passages = [];
+  for (const page of pages) {
+    chunkText(page.text, { maxWords }).forEach((text, i) => {
+      passages.push({
+        id: `${page.file}#${i}`,
+        category: "pages",
+        title: page.title,
+        intro: text,
+        steps: [],
+        questions: [],
+        url: page.url,
+      });
+    });
+  }
+  return { pages, passages, index: buildSearchIndex(passages, rankingConfig) };
+}
+
+// ------------------------------------------------------
+// 🔍 Search + answer
+// ------------------------------------------------------
+function trimToSentence(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars);
+  const end = Math.max(cut.lastIndexOf(". "), cut.lastIndexOf("! "), cut.lastIndexOf("? "));
+  return end > maxChars / 2 ? cut.slice(0, end + 1) : cut.replace(/\s+\S*$/, "") + "…";
+}
+
+export function searchPassages(passageIndex, query, { minScore = 4, limit = 2 } = {}) {
+  if (!passageIndex.passages.length || !tokenize(query).length) return [];
+  const { results } = searchIndex(passageIndex.index, query, { minScore });
+
+  // Best passage per page, so two citations never point at the same URL
+  const seen = new Set();
+  const hits = [];
+  for (const r of results) {
+    if (seen.has(r.entry.url)) continue;
+    seen.add(r.entry.url);
+    hits.push({ passage: r.entry, score: r.score, explain: r.explain });
+    if (hits.length >= limit) break;
+  }
+  return hits;
+}
+
+export function passageAnswer(hits, { maxChars = 320 } = {}) {
+  const [best] = hits;
+  return reply(
+    text(trimToSentence(best.passage.intro, maxChars), { icon: "📄" }),
+    hits.map((h) => citation(h.passage.url, h.passage.title))
+  );
+}
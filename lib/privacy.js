@@ -0,0 +1,329 @@
+// =========================================
+// 🔏 Privacy – retention, anonymisation and data subject requests
+// privacy.json:
+//   {
+//     "retentionDays": {            ← days kept; null keeps forever
+//       "leads": 730,               ← after the last contact (24 months, as our privacy policy says)
+//       "transcripts": 90, "feedback": 365, "handoffs": 180,   ← handoffs once closed
+//       "supportLog": 90, "unmatchedLog": 90,                  ← the legacy v9 logs
+//       "answerCache": 90           ← generated answers in support_cache.json, by when they were cached
+//     },
+//     "purgeEveryHours": 24,
+//     "ip": "truncate",             ← truncate (1.2.3.0, 2001:db8:1::) | hash | drop | keep
+//     "redact": { "email": true, "phone": true }
+//   }
+// IPs are anonymised before they are written (leads, logs); hashing uses
+// IP_HASH_SALT. Emails and phone numbers are redacted from what visitors
+// type before it reaches transcripts, feedback, the answer cache and the log lines – the lead
+// and handoff stores keep them, since that is what they are for.
+// Sessions expire on their own (SESSION_TTL_MINUTES).
+// =========================================
+
+import fs from "fs";
+import net from "net";
+import crypto from "crypto";
+import { readJSONLines, removeJSONLines, writeFileAtomic } from "./fileStore.js";
+
+export const RETENTION_KEYS = [
+  "leads",
+  "transcripts",
+  "feedback",
+  "handoffs",
+  "supportLog",
+  "unmatchedLog",
+  "answerCache",
+];
+export const IP_MODES = ["truncate", "hash", "drop", "keep"];
+
+export const DEFAULT_PRIVACY = {
+  retentionDays: {
+    leads: 730,
+    transcripts: 90,
+    feedback: 365,
+    handoffs: 180,
+    supportLog: 90,
+    unmatchedLog: 90,
+    answerCache: 90,
+  },
+  purgeEveryHours: 24,
+  ip: "truncate",
+  redact: { email: true, phone: true },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ------------------------------------------------------
+// ⚙️ Config
+// ------------------------------------------------------
+export function loadPrivacyConfig(file) {
+  const errors = [];
+  let custom = {};
+  try {
+    if (fs.existsSync(file)) custom = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    errors.push(`${file}: ${err.message}`);
+  }
+  const d = DEFAULT_PRIVACY;
+  const retentionDays = { ...d.retentionDays };
+  for (const [key, days] of Object.entries(custom.retentionDays || {})) {
+    if (!RETENTION_KEYS.includes(key)) errors.push(`unknown retention key ${key}`);
+    else if (days !== null && !(Number(days) > 0))
+      errors.push(`retentionDays.${key} must be a number of days or null`);
+    else retentionDays[key] = days === null ? null : Number(days);
+  }
+  const ip = custom.ip ?? d.ip;
+  if (!IP_MODES.includes(ip)) errors.push(`ip must be one of ${IP_MODES.join(", ")}`);
+  return {
+    retentionDays,
+    purgeEveryHours: Number(custom.purgeEveryHours) > 0 ? Number(custom.purgeEveryHours) : d.purgeEveryHours,
+    ip: IP_MODES.includes(ip) ? ip : d.ip,
+    redact: { ...d.redact, ...custom.redact },
+    errors,
+  };
+}
+
+// ------------------------------------------------------
+// 🌐 IP anonymisation
+// ------------------------------------------------------
+// "::1" → ["0", "0", "0", "0", "0", "0", "0", "1"]
+function ipv6Groups(ip) {
+  const [head, tail] = ip.split("::");
+  const left = head ? head.split(":") : [];
+  const right = tail ? tail.split(":") : [];
+  const fill = ip.includes("::") ? Array(8 - left.length - right.length).fill("0") : [];
+  return [...left, ...fill, ...right].map((g) => g.toLowerCase().replace(/^0+(?=.)/, ""));
+}
+
+// IPv4 keeps its /24, IPv6 its /48 – the network, not the visitor
+export function truncateIp(ip) {
+  const plain = String(ip).replace(/^::ffff:/i, "");
+  if (net.isIPv4(plain)) return `${plain.split(".").slice(0, 3).join(".")}.0`;
+  if (!net.isIPv6(plain)) return null;
+  const network = ipv6Groups(plain).slice(0, 3);
+  while (network.at(-1) === "0") network.pop();
+  return `${network.join(":")}::`;
+}
+
+// → (ip) => what may be written. Values that are no longer an IP
+// (already hashed) are left as they are.
+export function createIpAnonymiser(mode, salt = process.env.IP_HASH_SALT) {
+  if (mode === "hash" && !salt) {
+    console.warn("⚠️ IP_HASH_SALT not set – IP hashes change with every restart");
+    salt = crypto.randomBytes(16).toString("hex");
+  }
+  return (ip) => {
+    if (!ip || mode === "keep") return ip ?? null;
+    if (!net.isIP(String(ip).replace(/^::ffff:/i, ""))) return ip;
+    if (mode === "drop") return null;
+    if (mode === "hash")
+      return `h:${crypto.createHash("sha256").update(`${salt}:${ip}`).digest("hex").slice(0, 16)}`;
+    return truncateIp(ip);
+  };
+}
+
+// ------------------------------------------------------
+// ✂️ Redaction
+// ------------------------------------------------------
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+// Digits with the usual separators; only 9–15 digits count as a phone
+// number, so case numbers, quantities and dates are left alone
+const PHONE = /(?<![\w+])\+?\(?\d[\d ().-]{7,}\d(?!\w)/g;
+
+export function redactText(text, { email = true, phone = true } = {}) {
+  let out = String(text);
+  if (email) out = out.replace(EMAIL, "[email]");
+  if (phone)
+    out = out.replace(PHONE, (m) => {
+      const digits = m.replace(/\D/g, "").length;
+      return digits >= 9 && digits <= 15 ? "[phone]" : m;
+    });
+  return out;
+}
+
+// → a function redacting every string inside a value (identity when both are off)
+export function createRedactor(options) {
+  if (!options.email && !options.phone) return (value) => value;
+  const redact = (value) => {
+    if (typeof value === "string") return redactText(value, options);
+    if (Array.isArray(value)) return value.map(redact);
+    if (value && typeof value === "object")
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v)]));
+    return value;
+  };
+  return redact;
+}
+
+// ------------------------------------------------------
+// 📜 unmatched_faqs.log – "[time] [ip] message" lines
+// ------------------------------------------------------
+const UNMATCHED_LINE = /^\[([^\]]+)\]\s*(?:\[([^\]]*)\]\s*)?(.*)$/;
+
+function readUnmatched(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((l) => l.trim())
+    .map((line) => {
+      const m = line.match(UNMATCHED_LINE);
+      return m ? { time: m[1], ip: m[2] ?? null, message: m[3] } : { time: null, ip: null, message: line };
+    });
+}
+
+// Drops the lines `test` matches and anonymises the IPs of the rest → how many were dropped
+function rewriteUnmatched(file, test, anonymiseIp) {
+  const lines = readUnmatched(file);
+  if (!lines.length) return 0;
+  const kept = lines.filter((l) => !test(l));
+  const format = (l) => {
+    if (!l.time) return l.message;
+    const ip = l.ip !== null ? `[${anonymiseIp(l.ip) ?? "-"}] ` : "";
+    return `[${l.time}] ${ip}${l.message}`;
+  };
+  const text = kept.map(format).join("\n");
+  const next = kept.length ? text + "\n" : "";
+  if (next !== fs.readFileSync(file, "utf8")) writeFileAtomic(file, next);
+  return lines.length - kept.length;
+}
+
+// ------------------------------------------------------
+// 🧹 Purge and data subject requests
+// ------------------------------------------------------
+// stores: { leads, transcripts, feedback, handoffs, sessions, answerCache }
+// files:  { supportLog, unmatchedLog }
+export function createPrivacyService({ config, stores, files, anonymiseIp }) {
+  const { leads, transcripts, feedback, handoffs, sessions, answerCache } = stores;
+  let lastPurge = null;
+
+  // Everything tied to an email address, a session id or a conversation id
+  // (which outlives the session), plus the tests that find it
+  async function gather({ email, sessionId, conversationId }) {
+    const session = sessionId ? await sessions.get(sessionId) : null;
+    // A session half-way through the lead or contact form knows the address too
+    const emails = new Set(
+      [email, session?.lead?.data?.email, session?.handoffForm?.data?.email]
+        .filter(Boolean)
+        .map((e) => String(e).toLowerCase())
+    );
+    const mentions = (text) => [...emails].some((e) => String(text || "").toLowerCase().includes(e));
+    const conversations = new Set([conversationId, session?.conversationId].filter(Boolean));
+    const inConversation = (r) => Boolean(r.conversationId) && conversations.has(r.conversationId);
+
+    const ownLead = (l) => emails.has(String(l.email || "").toLowerCase()) || inConversation(l);
+    const leadList = leads.list().filter(ownLead);
+    leadList.forEach((l) => l.conversationId && conversations.add(l.conversationId));
+
+    const ownTicket = (t) => inConversation(t) || emails.has(String(t.contact?.email || "").toLowerCase());
+    const tickets = handoffs.list().filter(ownTicket);
+    tickets.forEach((t) => t.conversationId && conversations.add(t.conversationId));
+
+    // Turns written before redaction may still hold the address itself
+    const turns = transcripts.turns();
+    turns.filter((t) => mentions(t.message)).forEach((t) => conversations.add(t.conversationId));
+
+    const tests = {
+      lead: ownLead,
+      ticket: ownTicket,
+      turn: inConversation,
+      rating: (r) => inConversation(r) || mentions(r.comment),
+      legacy: (r) => mentions(r.message),
+      // Cached before questions were redacted
+      cached: (e) => !e.pinned && mentions(e.question),
+    };
+    return {
+      session,
+      conversations: [...conversations],
+      leads: leadList,
+      tickets,
+      transcripts: turns.filter(inConversation),
+      feedback: feedback.list().filter(tests.rating),
+      supportLog: readJSONLines(files.supportLog).filter(tests.legacy),
+      unmatchedLog: readUnmatched(files.unmatchedLog).filter(tests.legacy),
+      answerCache: answerCache.entries().filter(tests.cached),
+      tests,
+    };
+  }
+
+  const nothingFound = (found) =>
+    !found.session &&
+    ["leads", "tickets", "transcripts", "feedback", "supportLog", "unmatchedLog", "answerCache"].every(
+      (key) => !found[key].length
+    );
+
+  return {
+    config,
+    lastPurge: () => lastPurge,
+
+    // Drops whatever has outlived its retention period → counts per data type
+    purge(now = Date.now()) {
+      const days = config.retentionDays;
+      const expired = (key, time) =>
+        days[key] !== null && Boolean(time) && Date.parse(time) < now - days[key] * DAY_MS;
+      const removed = {
+        leads: leads.remove((l) => expired("leads", l.updatedAt || l.time)),
+        transcripts: transcripts.remove((t) => expired("transcripts", t.time)),
+        feedback: feedback.remove((r) => expired("feedback", r.time)),
+        handoffs: handoffs.remove(
+          (t) => ["closed", "offline"].includes(t.status) && expired("handoffs", t.closedAt || t.createdAt)
+        ),
+        supportLog: removeJSONLines(files.supportLog, (r) => expired("supportLog", r.time)),
+        unmatchedLog: rewriteUnmatched(
+          files.unmatchedLog,
+          (l) => expired("unmatchedLog", l.time),
+          anonymiseIp
+        ),
+        answerCache: answerCache.remove(
+          (e) => !e.pinned && (expired("answerCache", e.createdAt) || Date.parse(e.expiresAt) <= now)
+        ),
+      };
+      lastPurge = { at: new Date(now).toISOString(), removed };
+      const total = Object.values(removed).reduce((a, b) => a + b, 0);
+      if (total) console.log(`🧹 Retention purge removed ${total} record(s):`, JSON.stringify(removed));
+      return lastPurge;
+    },
+
+    // → { conversations, session, leads, tickets, transcripts, feedback, supportLog, unmatchedLog,
+    //     answerCache }, or null when nothing is held for the subject
+    async export(subject) {
+      const { tests, ...found } = await gather(subject);
+      return nothingFound(found) ? null : found;
+    },
+
+    // Removes all of it (and ends the session) → counts per data type, or null
+    // when there was nothing to remove
+    async erase(subject) {
+      const found = await gather(subject);
+      if (nothingFound(found)) return null;
+      const { tests } = found;
+      const removed = {
+        conversations: found.conversations.length,
+        session: 0,
+        leads: leads.remove(tests.lead),
+        tickets: handoffs.remove(tests.ticket),
+        transcripts: transcripts.remove(tests.turn),
+        feedback: feedback.remove(tests.rating),
+        supportLog: removeJSONLines(files.supportLog, tests.legacy),
+        unmatchedLog: rewriteUnmatched(files.unmatchedLog, tests.legacy, anonymiseIp),
+        answerCache: answerCache.remove(tests.cached),
+      };
+      if (found.session) {
+        await sessions.destroy(subject.sessionId);
+        removed.session = 1;
+      }
+      return removed;
+    },
+  };
+}
+
+// First run shortly after start-up, then every `purgeEveryHours`
+export function schedulePurge(service) {
+  const run = () => {
+    try {
+      service.purge();
+    } catch (err) {
+      console.error("❌ Retention purge failed:", err);
+    }
+  };
+  setTimeout(run, 5000).unref();
+  setInterval(run, service.config.purgeEveryHours * 60 * 60 * 1000).unref();
+}
@@ -0,0 +1,177 @@
+// =========================================
+// 🧾 Quote Builder Flow
+// venue type → sites → tills → add-ons → itemised indicative quote → "send
+// it to sales?" – yes carries on into the lead flow with the quote attached.
+// State lives on the chat session under `session.quoteBuilder`; prices come
+// from catalogue.json (see lib/catalogue.js). `lang` is the turn's
+// localeStrings() – the builder's own wording is in locales/*.json (quote.*).
+// =========================================
+
+import { escapeHtml } from "./html.js";
+import { reply, text, richText, options, form, yesno } from "./replies.js";
+import { VENUE_TYPES, validateField } from "./leads.js";
+import { buildQuote, formatMoney, quoteTotals } from "./catalogue.js";
+import { isCancel, startLeadFlow } from "./leadFlow.js";
+import { flowChoices, matchChoice } from "./flow.js";
+import { DEFAULT_LOCALE } from "./i18n.js";
+
+// "can I get a quote?" – as opposed to a demo or a call back
+export const wantsQuote = (message) => /\bquot(e|es|ation|ations)\b/i.test(message);
+
+const DONE_WORDS = /^(✅\s*)?(that[’']?s (everything|all|it)|done|finished|none|nothing( else)?|no|skip)\b/i;
+const isDone = (text, lang) => {
+  const input = text.trim().toLowerCase();
+  return DONE_WORDS.test(input) || input === lang.t("quote.done").toLowerCase() || lang.no.includes(input);
+};
+
+// "yes" / "no" / null in the turn's language
+const yesOrNo = (message, lang) =>
+  matchChoice(flowChoices({ options: { yes: "yes", no: "no" } }, lang), message)?.goto ?? null;
+
+// "1 site" / "3 sites" – quote.sites.one, .few, .many … falling back to .other
+function plural(lang, key, count) {
+  const form = `${key}.${new Intl.PluralRules(lang.locale).select(count)}`;
+  const said = lang.t(form, { count });
+  return said === form ? lang.t(`${key}.other`, { count }) : said;
+}
+
+// The add-on pills still on offer, then "that's everything"
+const remaining = (builder, catalogue, lang) =>
+  options([
+    ...catalogue.addOns.filter((a) => !builder.addOns.includes(a.id)).map((a) => a.label),
+    lang.t("quote.done"),
+  ]);
+
+// ------------------------------------------------------
+// 💬 Prompts
+// ------------------------------------------------------
+function prompt(builder, catalogue, lang) {
+  switch (builder.step) {
+    case "venueType":
+      return reply(text(lang.t("quote.intro")), text(lang.t("quote.askVenueType")), options(VENUE_TYPES));
+    case "sites":
+      return reply(text(lang.t("quote.askSites")), form("sites", "number"));
+    case "tills":
+      return reply(text(lang.t("quote.askTills")), form("tills", "number"));
+    case "addOns":
+      return reply(
+        text(lang.t(builder.addOns.length ? "quote.askMoreAddOns" : "quote.askAddOns")),
+        remaining(builder, catalogue, lang)
+      );
+    default:
+      return reply();
+  }
+}
+
+const line = (l, amount, currency) =>
+  `${l.quantity} × ${escapeHtml(l.name)} – ${formatMoney(amount, currency)}`;
+
+// "£2,695.00 one-off + £146.00 a month", in the turn's language
+function totalsText({ totals, currency }, lang) {
+  const amount = (key) => ({ amount: formatMoney(totals[key], currency) });
+  const parts = [];
+  if (totals.oneOff) parts.push(lang.t("quote.oneOffTotal", amount("oneOff")));
+  if (totals.monthly) parts.push(lang.t("quote.monthlyTotal", amount("monthly")));
+  return parts.join(" + ") || formatMoney(0, currency);
+}
+
+function quoteReply(quote, catalogue, lang) {
+  const { venueType, sites, tills, addOns } = quote.answers;
+  const labels = catalogue.addOns.filter((a) => addOns.includes(a.id)).map((a) => a.label);
+  const oneOff = quote.lines.filter((l) => l.oneOff);
+  const monthly = quote.lines.filter((l) => l.monthly);
+  const answers = lang.locale === DEFAULT_LOCALE ? null : { yes: lang.t("yes"), no: lang.t("no") };
+  const section = (title, lines, key) => {
+    if (!lines.length) return null;
+    const items = lines.map((l) => line(l, l[key], quote.currency)).join("<br>");
+    return richText(`<strong>${title}</strong><br>${items}`);
+  };
+  return reply(
+    text(lang.t("quote.heading"), { style: "heading" }),
+    text(
+      [venueType, plural(lang, "quote.sites", sites), plural(lang, "quote.tills", tills), labels.join(", ")]
+        .filter(Boolean)
+        .join(" · ")
+    ),
+    section(escapeHtml(lang.t("quote.oneOff")), oneOff, "oneOff"),
+    section(escapeHtml(lang.t("quote.monthly")), monthly, "monthly"),
+    richText(`<strong>${escapeHtml(lang.t("quote.total", { total: totalsText(quote, lang) }))}</strong>`),
+    quote.note ? text(quote.note, { style: "note" }) : null,
+    yesno(lang.t("quote.send"), null, answers)
+  );
+}
+
+// Add-ons named in a message – the pill labels, or any of their aliases
+function pickAddOns(input, catalogue) {
+  const lower = input.toLowerCase();
+  const word = (alias) => new RegExp(`\\b${alias.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`, "i");
+  const named = (a) =>
+    a.label.toLowerCase() === lower || (a.aliases || []).some((alias) => word(alias).test(lower));
+  return catalogue.addOns.filter(named).map((a) => a.id);
+}
+
+// ------------------------------------------------------
+// 🚀 Entry point and turns
+// ------------------------------------------------------
+export function startQuoteBuilder(session, catalogue, lang) {
+  session.awaitingQuoteDecision = false;
+  session.quoteBuilder = { step: "venueType", addOns: [], startedAt: new Date().toISOString() };
+  return prompt(session.quoteBuilder, catalogue, lang);
+}
+
+// Shown when a venue type, site or till count doesn't validate
+const INVALID = { venueType: "quote.badVenueType", sites: "quote.badSites", tills: "quote.badTills" };
+
+// One turn of an active quote builder. Returns null when none is active, or
+// when the visitor moves on from the finished quote instead of answering.
+export function handleQuoteBuilder(session, message, catalogue, lang) {
+  const builder = session.quoteBuilder;
+  if (!builder) return null;
+  const input = (message || "").trim();
+
+  if (isCancel(input)) {
+    session.quoteBuilder = null;
+    return reply(text(lang.t("quote.cancelled")));
+  }
+
+  if (builder.step === "send") {
+    const quote = builder.quote;
+    const answer = yesOrNo(input, lang);
+    session.quoteBuilder = null;
+    if (answer === "yes") {
+      const { venueType, sites } = quote.answers;
+      return startLeadFlow(session, "", { data: { venueType, sites }, quote });
+    }
+    if (answer === "no") return reply(text(lang.t("quote.declined")));
+    return null;
+  }
+
+  if (builder.step === "addOns") {
+    const picked = pickAddOns(input, catalogue).filter((id) => !builder.addOns.includes(id));
+    const done = isDone(input, lang);
+    if (!picked.length && !done)
+      return reply(richText(lang.t("quote.pickAddOn")), remaining(builder, catalogue, lang));
+    builder.addOns.push(...picked);
+    if (picked.length && builder.addOns.length < catalogue.addOns.length && !done)
+      return prompt(builder, catalogue, lang);
+
+    const { venueType, sites, tills, addOns } = builder;
+    builder.quote = buildQuote(catalogue, { venueType, sites, tills, addOns });
+    builder.step = "send";
+    const totals = quoteTotals(builder.quote);
+    console.log(`🧾 Quote built: ${venueType}, ${sites} site(s), ${tills} till(s) → ${totals}`);
+    return quoteReply(builder.quote, catalogue, lang);
+  }
+
+  const { value, error } = validateField(builder.step, input);
+  if (error)
+    return reply(
+      text(`⚠️ ${lang.t(INVALID[builder.step])}`),
+      builder.step === "venueType" ? options(VENUE_TYPES) : form(builder.step, "number")
+    );
+  if (builder.step === "tills" && value < builder.sites)
+    return reply(text(lang.t("quote.fewerTills", { sites: builder.sites })), form("tills", "number"));
+  builder[builder.step] = value;
+  builder.step = { venueType: "sites", sites: "tills", tills: "addOns" }[builder.step];
+  return prompt(builder, catalogue, lang);
+}
@@ -0,0 +1,361 @@
+// =========================================
+// 🔎 Tappy Ranking Engine
+// Precomputed inverted index (BM25F) over FAQ fields with stemming,
+// synonym groups and typo tolerance. Built once per knowledge base.
+// =========================================
+
+import fs from "fs";
+
+// Search order per context – mirrors findFaqMatch from v9.25
+export const SEARCH_ORDER = {
+  sales: ["sales", "support", "general"],
+  support: ["support", "sales", "general"],
+  general: ["sales", "support", "general"],
+};
+
+export const DEFAULT_RANKING_CONFIG = {
+  fields: { title: 3, questions: 2.5, intro: 1.5, steps: 1 },
+  bm25: { k1: 1.2, b: 0.6 },
+  fuzzy: { minLength: 3, maxDistance: 1, longWordLength: 8, longWordDistance: 2, penalty: 0.7 },
+  synonymWeight: 0.8,
+  phraseBonus: 2,
+  contextBoost: [1.2, 1, 0.9],
+  topicBoost: 1.25,
+  feedback: { similarity: 0.5, step: 0.1, maxBoost: 1.3, minFactor: 0.6 },
+  thresholds: { minScore: 3, autoSelectScore: 9, autoSelectMargin: 1.5, maxOptions: 8 },
+  passages: { minScore: 3.5, limit: 2, maxWords: 60, maxChars: 320 },
+  synonyms: [],
+};
+
+export const STOP_WORDS = new Set([
+  "the", "is", "a", "an", "and", "or", "of", "for", "on", "at", "to", "in", "it", "its", "no",
+  "not", "please", "help", "my", "our", "we", "i", "me", "you", "your", "can", "do", "does",
+  "did", "how", "what", "with", "this", "that", "be", "are", "there", "any", "will", "if",
+  "im", "ive", "us", "get", "by", "from", "as", "so", "has", "have", "just", "yes",
+]);
+
+// ------------------------------------------------------
+// ⚙️ Config
+// ------------------------------------------------------
+export function loadRankingConfig(file) {
+  let custom = {};
+  try {
+    if (file && fs.existsSync(file)) custom = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error(`❌ Failed to read ${file}, using default ranking config:`, err.message);
+  }
+  const d = DEFAULT_RANKING_CONFIG;
+  return {
+    ...d,
+    ...custom,
+    fields: { ...d.fields, ...custom.fields },
+    bm25: { ...d.bm25, ...custom.bm25 },
+    fuzzy: { ...d.fuzzy, ...custom.fuzzy },
+    thresholds: { ...d.thresholds, ...custom.thresholds },
+    passages: { ...d.passages, ...custom.passages },
+    feedback: { ...d.feedback, ...custom.feedback },
+  };
+}
+
+// ------------------------------------------------------
+// ✂️ Text analysis
+// ------------------------------------------------------
+// Accents are folded so "Cómo" / "como" and "działa" / "dziala" meet
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/ł/g, "l")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/['’‘`]/g, "")
+    .replace(/&amp;/g, " and ")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+const VOWEL = /[aeiouy]/;
+
+// Light suffix-stripping stemmer (plural, -ing, -ed, -ly …) – enough
+// for "printers/printing/printed" to meet without a dependency.
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word;
+
+  if (w.endsWith("ies") && w.length > 4) w = w.slice(0, -3) + "y";
+  else if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  for (const suffix of ["ingly", "edly", "ing", "ed", "ly", "ment", "er"]) {
+    if (w.endsWith(suffix)) {
+      const base = w.slice(0, -suffix.length);
+      const minBase = suffix === "er" ? 4 : 3;
+      if (base.length >= minBase && VOWEL.test(base)) {
+        w = base;
+        // stopped → stopp → stop, setting → sett → set
+        if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      }
+      break;
+    }
+  }
+
+  if (w.length > 4 && w.endsWith("e")) w = w.slice(0, -1);
+  return w;
+}
+
+// Optimal string alignment distance, bailing out early past `max`
+export function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) rows.push([i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+        v = Math.min(v, rows[i - 2][j - 2] + 1);
+      rows[i][j] = v;
+      rowMin = Math.min(rowMin, v);
+    }
+    if (rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+}
+
+// Synonym groups → phrase lookup. Each group gets one canonical term
+// ("~" prefix keeps it apart from ordinary stems).
+function compileSynonyms(groups) {
+  const phrases = new Map(); // "card machine" → { canonical, words }
+  let longest = 1;
+  for (const group of groups || []) {
+    if (!Array.isArray(group) || !group.length) continue;
+    const canonical = "~" + tokenize(group[0]).join("_");
+    for (const phrase of group) {
+      const words = tokenize(phrase);
+      if (!words.length) continue;
+      phrases.set(words.join(" "), { canonical, words });
+      longest = Math.max(longest, words.length);
+    }
+  }
+  return { phrases, longest };
+}
+
+// Turns surface words into index terms: stems, plus one canonical term
+// for every synonym phrase found ("mag card reader" also yields "card reader").
+function analyseWords(words, synonyms) {
+  const terms = [];
+  for (const word of words) {
+    if (!STOP_WORDS.has(word)) terms.push({ term: stem(word), surface: word, via: "exact" });
+  }
+
+  for (let i = 0; i < words.length; i++) {
+    for (let len = Math.min(synonyms.longest, words.length - i); len >= 1; len--) {
+      const phrase = words.slice(i, i + len).join(" ");
+      const hit = synonyms.phrases.get(phrase);
+      if (hit) terms.push({ term: hit.canonical, surface: phrase, via: "synonym" });
+    }
+  }
+  return terms;
+}
+
+// ------------------------------------------------------
+// 🏗️ Index build
+// ------------------------------------------------------
+function entryFields(entry) {
+  return {
+    title: entry.title || "",
+    questions: (entry.questions || []).join(" . "),
+    intro: entry.intro || "",
+    steps: (entry.steps || []).join(" . "),
+  };
+}
+
+export function buildSearchIndex(entries, config = DEFAULT_RANKING_CONFIG) {
+  const synonyms = compileSynonyms(config.synonyms);
+  const fieldNames = Object.keys(config.fields);
+  const postings = new Map(); // term → Map(docIndex → { field → tf })
+  const vocabulary = new Map(); // surface word → doc frequency
+  const lengths = []; // per doc: { field → token count }
+  const totals = Object.fromEntries(fieldNames.map((f) => [f, 0]));
+  const phrases = []; // per doc: normalised title + questions for phrase bonus
+
+  entries.forEach((entry, doc) => {
+    const fields = entryFields(entry);
+    const seen = new Set();
+    lengths[doc] = {};
+
+    for (const field of fieldNames) {
+      const words = tokenize(fields[field]);
+      const terms = analyseWords(words, synonyms);
+      lengths[doc][field] = terms.length;
+      totals[field] += terms.length;
+
+      for (const { term } of terms) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const byDoc = postings.get(term);
+        if (!byDoc.has(doc)) byDoc.set(doc, {});
+        const tf = byDoc.get(doc);
+        tf[field] = (tf[field] || 0) + 1;
+      }
+      for (const w of words) {
+        if (seen.has(w)) continue;
+        seen.add(w);
+        vocabulary.set(w, (vocabulary.get(w) || 0) + 1);
+      }
+    }
+
+    phrases[doc] = [fields.title, ...(entry.questions || [])].map((t) => tokenize(t).join(" "));
+  });
+
+  // Synonym words count as known vocabulary so typo correction can reach them
+  for (const { words } of synonyms.phrases.values())
+    for (const w of words) if (!vocabulary.has(w)) vocabulary.set(w, 0);
+
+  const count = entries.length || 1;
+  const averages = Object.fromEntries(fieldNames.map((f) => [f, totals[f] / count || 1]));
+
+  return { entries, config, synonyms, postings, vocabulary, lengths, averages, phrases };
+}
+
+// ------------------------------------------------------
+// ✏️ Typo correction against the index vocabulary
+// ------------------------------------------------------
+function correctWord(index, word) {
+  const { minLength, maxDistance, longWordLength, longWordDistance } = index.config.fuzzy;
+  if (word.length < minLength || STOP_WORDS.has(word) || /\d/.test(word)) return null;
+  if (index.vocabulary.has(word) || index.postings.has(stem(word))) return null;
+
+  const limit = word.length >= longWordLength ? longWordDistance : maxDistance;
+  let best = null;
+  for (const [candidate, df] of index.vocabulary) {
+    if (candidate.length < minLength || STOP_WORDS.has(candidate)) continue;
+    const d = editDistance(word, candidate, limit);
+    if (d > limit) continue;
+    if (!best || d < best.distance || (d === best.distance && df > best.df))
+      best = { word: candidate, distance: d, df };
+  }
+  return best?.word || null;
+}
+
+// ------------------------------------------------------
+// 🏁 Query
+// ------------------------------------------------------
+// `prefer` is a Set of entry ids scaled by config.topicBoost (the conversation's topic);
+// `boosts` maps entry ids to a score factor (visitor feedback, see lib/feedback.js)
+export function searchIndex(
+  index,
+  query,
+  { context = "general", minScore = null, prefer = null, boosts = null } = {}
+) {
+  const { config } = index;
+  const words = tokenize(query);
+  const corrections = {};
+  const corrected = words.map((w) => {
+    const fix = correctWord(index, w);
+    if (fix) corrections[w] = fix;
+    return fix || w;
+  });
+
+  // One weight per distinct term: exact beats synonym beats fuzzy
+  const fixed = new Set(Object.values(corrections));
+  const queryTerms = new Map();
+  for (const t of analyseWords(corrected, index.synonyms)) {
+    const fuzzy = t.surface.split(" ").some((w) => fixed.has(w));
+    const via = fuzzy ? "fuzzy" : t.via;
+    const weight =
+      (via === "synonym" ? config.synonymWeight : 1) * (fuzzy ? config.fuzzy.penalty : 1);
+    const prev = queryTerms.get(t.term);
+    if (!prev || prev.weight < weight) queryTerms.set(t.term, { ...t, via, weight });
+  }
+
+  const N = index.entries.length;
+  const { k1, b } = config.bm25;
+  const scores = new Map(); // doc → { score, matches[] }
+
+  for (const [term, q] of queryTerms) {
+    const byDoc = index.postings.get(term);
+    if (!byDoc) continue;
+    const idf = Math.log(1 + (N - byDoc.size + 0.5) / (byDoc.size + 0.5));
+
+    for (const [doc, tf] of byDoc) {
+      let weighted = 0;
+      const fields = [];
+      for (const [field, n] of Object.entries(tf)) {
+        const norm = 1 - b + b * (index.lengths[doc][field] / index.averages[field]);
+        weighted += (config.fields[field] * n) / norm;
+        fields.push(field);
+      }
+      const contribution = idf * (weighted / (k1 + weighted)) * q.weight;
+      if (!scores.has(doc)) scores.set(doc, { score: 0, matches: [] });
+      const s = scores.get(doc);
+      s.score += contribution;
+      s.matches.push({
+        term: q.surface,
+        matched: term,
+        via: q.via,
+        fields,
+        contribution: Number(contribution.toFixed(3)),
+      });
+    }
+  }
+
+  const phrase = corrected.join(" ");
+  const order = SEARCH_ORDER[context] || SEARCH_ORDER.general;
+
+  const results = [...scores.entries()].map(([doc, s]) => {
+    const entry = index.entries[doc];
+    let score = s.score;
+    if (corrected.length > 1 && index.phrases[doc].some((p) => p.includes(phrase))) {
+      score += config.phraseBonus;
+      s.matches.push({ term: phrase, matched: phrase, via: "phrase", fields: ["title", "questions"], contribution: config.phraseBonus });
+    }
+    const rank = order.indexOf(entry.category);
+    const boost = config.contextBoost[rank] ?? 1;
+    const topicBoost = prefer?.has(entry.id) ? config.topicBoost : 1;
+    const feedbackBoost = boosts?.get(String(entry.id)) ?? 1;
+    return {
+      entry,
+      score: Number((score * boost * topicBoost * feedbackBoost).toFixed(3)),
+      explain: {
+        matches: s.matches,
+        contextBoost: boost,
+        ...(topicBoost !== 1 ? { topicBoost } : {}),
+        ...(feedbackBoost !== 1 ? { feedbackBoost } : {}),
+      },
+    };
+  });
+
+  const floor = minScore ?? config.thresholds.minScore;
+  const ranked = results
+    .filter((r) => r.score >= floor)
+    .sort((a, b) => b.score - a.score);
+
+  return { ...decide(ranked, config.thresholds), corrections };
+}
+
+// ------------------------------------------------------
+// 🎯 Decision – auto-select, offer options or no match
+// ------------------------------------------------------
+export function decide(ranked, thresholds) {
+  if (!ranked.length) return { decision: "none", confidence: 0, results: [] };
+
+  const top = ranked[0].score;
+  const second = ranked[1]?.score || 0;
+  const confidence = second ? top / second : Infinity;
+  const results = ranked.slice(0, thresholds.maxOptions);
+
+  const auto =
+    ranked.length === 1 ||
+    confidence >= thresholds.autoSelectMargin ||
+    (top >= thresholds.autoSelectScore && confidence > 1.05);
+
+  return {
+    decision: auto ? "auto" : "options",
+    confidence: Number.isFinite(confidence) ? Number(confidence.toFixed(3)) : null,
+    results,
+  };
+}
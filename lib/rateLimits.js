@@ -0,0 +1,62 @@
+// =========================================
+// 🛡️ Abuse Protection
+// Rate limits per IP and per chat session, plus checks on the message itself.
+//
+//   RATE_LIMIT_WINDOW_SECONDS  (60)   window both limits count over
+//   RATE_LIMIT_PER_IP          (40)   requests per IP per window
+//   RATE_LIMIT_PER_SESSION     (20)   chat messages per session per window
+//   MAX_MESSAGE_LENGTH         (500)  characters
+//   CHAT_BODY_LIMIT            (16kb) JSON body size for the public API
+// =========================================
+
+import rateLimit from "express-rate-limit";
+import { isValidSessionId } from "./sessionStore.js";
+
+export function loadLimits(env = process.env) {
+  return {
+    windowMs: (Number(env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000,
+    perIp: Number(env.RATE_LIMIT_PER_IP) || 40,
+    perSession: Number(env.RATE_LIMIT_PER_SESSION) || 20,
+    maxMessageLength: Number(env.MAX_MESSAGE_LENGTH) || 500,
+    bodyLimit: env.CHAT_BODY_LIMIT || "16kb",
+  };
+}
+
+// ------------------------------------------------------
+// ⏱️ Limiters – `onLimit(req, res, retryAfter)` sends the 429; `anonymiseIp`
+// is applied to the IP before it is logged
+// ------------------------------------------------------
+export function createRateLimiters(limits, { onLimit, anonymiseIp = (ip) => ip }) {
+  const handler = (kind) => (req, res) => {
+    const resetTime = req.rateLimit?.resetTime;
+    const retryAfter = Math.max(1, Math.ceil(((resetTime?.getTime() ?? Date.now()) - Date.now()) / 1000));
+    console.warn(`🛑 Rate limit (${kind}) hit by ${anonymiseIp(req.ip)} on ${req.path}`);
+    res.setHeader("Retry-After", String(retryAfter));
+    onLimit(req, res, retryAfter);
+  };
+  const common = { windowMs: limits.windowMs, standardHeaders: "draft-7", legacyHeaders: false };
+
+  return {
+    perIp: rateLimit({ ...common, limit: limits.perIp, handler: handler("ip") }),
+    // Requests without a session yet are covered by the IP limit
+    perSession: rateLimit({
+      ...common,
+      limit: limits.perSession,
+      skip: (req) => !isValidSessionId(req.cookies?.sessionId),
+      keyGenerator: (req) => `session:${req.cookies.sessionId}`,
+      handler: handler("session"),
+    }),
+  };
+}
+
+// ------------------------------------------------------
+// ✉️ Message checks → { status, error } or null
+// ------------------------------------------------------
+export function checkMessage(message, { maxMessageLength }) {
+  if (message === undefined || message === null) return { status: 400, error: "message is required" };
+  if (typeof message !== "string") return { status: 400, error: "message must be a string" };
+  if (!message.trim()) return { status: 400, error: "message must not be empty" };
+  if (message.length > maxMessageLength)
+    return { status: 413, error: `message must be at most ${maxMessageLength} characters` };
+  return null;
+}
@@ -0,0 +1,184 @@
+// =========================================
+// 🧱 Reply Schema (version 1)
+// Every chat reply is built as { version: 1, blocks: [...] } and rendered
+// for the client that asked (body or query `format`):
+//   html   → (default) the v15 widget payload – an HTML string, or the
+//            { type: "yesno" } / { type: "options" } objects it understands
+//   blocks → the structured reply as-is, for apps and new widgets
+//   text   → plain text, for SMS / terminal style clients
+//
+// Blocks
+//   { type: "text", text, html?, style?: "heading" | "note", icon? }
+//   { type: "steps", items: [{ text, html? }] }
+//   { type: "link", url, label }
+//   { type: "yesno", text, html?, faqId?, labels? } – ask a yes/no question
+//                                                     (labels: { yes, no } outside English)
+//   { type: "options", options: [{ label }] }       – pick one (pills)
+//   { type: "form", field, input: "text" | "email" | "tel" | "number", optional? }
+//   { type: "citation", url, title }                – source of the answer above
+//
+// `text` is always plain text (newlines allowed). `html` is only present
+// when the content was authored as markup (FAQ files, cached answers).
+// =========================================
+
+import { escapeHtml } from "./html.js";
+
+export const REPLY_VERSION = 1;
+export const REPLY_FORMATS = ["html", "blocks", "text"];
+
+// ------------------------------------------------------
+// 🔨 Builders
+// ------------------------------------------------------
+export const reply = (...blocks) => ({ version: REPLY_VERSION, blocks: blocks.flat().filter(Boolean) });
+
+export const text = (content, extra = {}) => ({ type: "text", text: String(content ?? ""), ...extra });
+
+// Authored content that may contain markup → plain text, plus the HTML when it differs
+const item = (content) => {
+  const plain = htmlToText(content);
+  return plain === String(content) ? { text: plain } : { text: plain, html: String(content) };
+};
+
+export const richText = (html, extra = {}) => (html ? { type: "text", ...item(html), ...extra } : null);
+
+export const steps = (items) => (items?.length ? { type: "steps", items: items.map(item) } : null);
+export const link = (url, label) => ({ type: "link", url, label });
+export const yesno = (question, faqId = null, labels = null) => ({
+  type: "yesno",
+  ...item(question),
+  faqId,
+  ...(labels ? { labels } : {}),
+});
+export const options = (labels) => ({ type: "options", options: labels.map((label) => ({ label })) });
+export const form = (field, input = "text", optional = false) => ({ type: "form", field, input, optional });
+export const citation = (url, title) => ({ type: "citation", url, title });
+
+// ------------------------------------------------------
+// 🔤 HTML → plain text (links keep their target)
+// ------------------------------------------------------
+const DECODE = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'", "&nbsp;": " " };
+
+export function htmlToText(html) {
+  return String(html ?? "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<a\s[^>]*href=["']([^"']+)["'][^>]*>(.*?)<\/a>/gi, (m, url, label) =>
+      url.startsWith("mailto:") ? label : `${label} (${url})`
+    )
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (e) => DECODE[e])
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// ------------------------------------------------------
+// 🖥️ Renderers
+// ------------------------------------------------------
+const inlineHtml = (b) => b.html ?? escapeHtml(b.text).replace(/\n/g, "<br>");
+const anchor = (url, label) => `<a href="${escapeHtml(url)}" target="_blank">${escapeHtml(label)}</a>`;
+
+function blockHtml(b) {
+  switch (b.type) {
+    case "text":
+      if (b.style === "heading") return `${b.icon ? `${b.icon} ` : ""}<strong>${inlineHtml(b)}</strong>`;
+      if (b.style === "note") return `<small style='color:#888;'>(${inlineHtml(b)})</small>`;
+      return `${b.icon ? `${b.icon} ` : ""}${inlineHtml(b)}`;
+    case "steps":
+      return b.items.map((s, i) => `${i + 1}. ${inlineHtml(s)}`).join("<br>");
+    case "link":
+      return `👉 ${anchor(b.url, b.label)}`;
+    case "yesno":
+      return inlineHtml(b);
+    default:
+      return ""; // options & form are widget controls, citations are grouped below
+  }
+}
+
+export function renderHtml(blocks) {
+  let html = "";
+  let prev = null;
+  const citations = blocks.filter((b) => b.type === "citation");
+
+  for (const b of blocks) {
+    if (b.type === "citation") {
+      if (b !== citations[0]) continue;
+      const [first, ...more] = citations;
+      const part =
+        `🔗 Source: ${anchor(first.url, first.title)}` +
+        (more.length ? `<br>Also see: ${more.map((c) => anchor(c.url, c.title)).join(", ")}` : "");
+      html += (prev ? "<br><br>" : "") + part;
+      prev = b;
+      continue;
+    }
+    const part = blockHtml(b);
+    if (!part) continue;
+    // Headings and consecutive links sit on the next line, everything else gets a gap
+    const afterHeading = prev?.type === "text" && prev.style === "heading";
+    const tight = afterHeading || (prev?.type === "link" && b.type === "link");
+    html += (prev ? (tight ? "<br>" : "<br><br>") : "") + part;
+    prev = b;
+  }
+  return html;
+}
+
+// The v15 widget payloads
+function renderLegacy({ blocks }) {
+  const question = blocks.find((b) => b.type === "yesno");
+  if (question) {
+    const heading = blocks.find((b) => b.type === "text" && b.style === "heading");
+    const stepsBlock = blocks.find((b) => b.type === "steps");
+    return {
+      type: "yesno",
+      title: heading ? inlineHtml(heading) : "",
+      intro: renderHtml(blocks.filter((b) => b !== heading && b !== question && b !== stepsBlock)),
+      steps: stepsBlock ? renderHtml([stepsBlock]) : "",
+      question: inlineHtml(question),
+      currentId: question.faqId ?? null,
+      ...(question.labels ? { labels: question.labels } : {}),
+    };
+  }
+
+  const pills = blocks.find((b) => b.type === "options");
+  if (pills) {
+    return {
+      type: "options",
+      intro: renderHtml(blocks.filter((b) => b !== pills)),
+      options: pills.options.map(({ label }) => ({ label })),
+    };
+  }
+
+  return renderHtml(blocks);
+}
+
+export function renderText({ blocks }) {
+  return blocks
+    .map((b) => {
+      switch (b.type) {
+        case "text":
+          return b.style === "note" ? `(${b.text})` : `${b.icon ? `${b.icon} ` : ""}${b.text}`;
+        case "steps":
+          return b.items.map((s, i) => `${i + 1}. ${s.text}`).join("\n");
+        case "link":
+          return `${b.label}: ${b.url}`;
+        case "yesno":
+          return `${b.text} (${b.labels?.yes || "yes"} / ${b.labels?.no || "no"})`;
+        case "options":
+          return b.options.map((o) => `• ${o.label}`).join("\n");
+        case "citation":
+          return `Source: ${b.title} – ${b.url}`;
+        default:
+          return "";
+      }
+    })
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+export function renderReply(structured, format = "html") {
+  // Transcripts written before the schema hold the rendered v15 payload
+  if (!structured?.blocks)
+    return format === "text" && typeof structured === "string" ? htmlToText(structured) : structured;
+  if (format === "blocks") return structured;
+  if (format === "text") return renderText(structured);
+  return renderLegacy(structured);
+}
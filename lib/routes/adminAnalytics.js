@@ -0,0 +1,55 @@
+// =========================================
+// 📊 Admin Analytics API – every route takes ?from=&to=
+// =========================================
+
+import express from "express";
+import { parseDateRange } from "./dateRange.js";
+import {
+  loadEvents,
+  filterByDate,
+  topQueries,
+  clusterUnmatched,
+  faqHits,
+  outcomeRatios,
+  treeDropOff,
+} from "../analytics.js";
+
+export function createAnalyticsAdminRouter({ transcriptLog, supportLogFile, unmatchedFile, getKnowledgeBase }) {
+  const router = express.Router();
+
+  // Parses the date range and hands the filtered events to the report
+  const report = (build) => (req, res) => {
+    try {
+      const range = parseDateRange(req.query);
+      if (range.error) return res.status(400).json({ error: range.error });
+      const events = filterByDate(loadEvents({ transcriptLog, supportLogFile, unmatchedFile }), range);
+      const limit = Math.min(Number(req.query.limit) || 20, 200);
+      res.json({
+        from: range.from === null ? null : new Date(range.from).toISOString(),
+        to: range.to === null ? null : new Date(range.to).toISOString(),
+        events: events.length,
+        ...build(events, { limit, kb: getKnowledgeBase() }),
+      });
+    } catch (err) {
+      console.error("❌ Analytics error:", err);
+      res.status(500).json({ error: "Analytics unavailable" });
+    }
+  };
+
+  router.get(
+    "/analytics/summary",
+    report((events, { limit, kb }) => ({
+      outcomes: outcomeRatios(events),
+      topQueries: topQueries(events, { limit: 10 }),
+      unmatched: clusterUnmatched(events, { limit: 10 }),
+      topFaqs: faqHits(events, kb).faqs.slice(0, Math.min(limit, 10)),
+    }))
+  );
+  router.get("/analytics/queries", report((events, { limit }) => ({ queries: topQueries(events, { limit }) })));
+  router.get("/analytics/unmatched", report((events, { limit }) => clusterUnmatched(events, { limit })));
+  router.get("/analytics/faqs", report((events, { kb }) => faqHits(events, kb)));
+  router.get("/analytics/outcomes", report((events) => outcomeRatios(events)));
+  router.get("/analytics/trees", report((events, { kb }) => ({ steps: treeDropOff(events, kb) })));
+
+  return router;
+}
@@ -0,0 +1,73 @@
+// =========================================
+// 🧪 Admin Evaluation API – same scoring as `npm run eval`
+//   POST /evaluation             { mode: holdout|replay, thresholds: {...}, save: true }
+//                                → the full report plus the change since the last run
+//   GET  /evaluation/runs        → earlier run summaries, newest first (?limit=)
+//   GET  /evaluation/unlabelled  → logged misses not in evaluation.json yet
+// One evaluation at a time – a hold-out run rebuilds the index per question.
+// =========================================
+
+import express from "express";
+import { loadEvents } from "../analytics.js";
+import {
+  EVALUATION_MODES,
+  loadEvaluationSet,
+  evaluate,
+  parseThresholds,
+  unlabelledQueries,
+  createEvaluationLog,
+  compareRuns,
+} from "../evaluation.js";
+
+export function createEvaluationAdminRouter({
+  setFile,
+  runsFile,
+  getKnowledgeBase,
+  rankingConfig,
+  transcriptLog,
+  supportLogFile,
+  unmatchedFile,
+}) {
+  const router = express.Router();
+  const runs = createEvaluationLog(runsFile);
+  let running = false;
+
+  router.post("/evaluation", async (req, res) => {
+    const { mode = "holdout", thresholds, save = true } = req.body || {};
+    if (!EVALUATION_MODES.includes(mode))
+      return res.status(400).json({ error: `mode must be one of ${EVALUATION_MODES.join(", ")}` });
+    const parsed = parseThresholds(thresholds);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (running) return res.status(409).json({ error: "An evaluation is already running" });
+
+    running = true;
+    try {
+      const set = loadEvaluationSet(setFile);
+      const kb = getKnowledgeBase();
+      const report = await evaluate({ kb, set, config: rankingConfig, mode, thresholds: parsed.thresholds });
+      const change = compareRuns(runs.previous(report), report);
+      if (save !== false) runs.append(report);
+      console.log(`🧪 Evaluation (${mode}): top-1 ${report.metrics.top1}, top-3 ${report.metrics.top3}`);
+      res.json({ ...report, errors: [...set.errors, ...report.errors], change });
+    } catch (err) {
+      console.error("❌ Evaluation error:", err);
+      res.status(500).json({ error: "Evaluation failed" });
+    } finally {
+      running = false;
+    }
+  });
+
+  router.get("/evaluation/runs", (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 20, 200);
+    const all = runs.runs();
+    res.json({ total: all.length, runs: all.reverse().slice(0, limit) });
+  });
+
+  router.get("/evaluation/unlabelled", (req, res) => {
+    const events = loadEvents({ transcriptLog, supportLogFile, unmatchedFile });
+    const queries = unlabelledQueries(events, loadEvaluationSet(setFile));
+    res.json({ total: queries.length, queries });
+  });
+
+  return router;
+}
@@ -0,0 +1,238 @@
+// =========================================
+// 🛠️ Admin FAQ API
+// List / create / update / delete FAQ entries, write the JSON files
+// back atomically and hot-swap the in-memory knowledge base.
+// =========================================
+
+import express from "express";
+import path from "path";
+import { CATEGORIES, compileKnowledgeBase, normaliseEntries, readSource } from "../knowledge.js";
+import { validateTrees, branchSubtree } from "../faqTree.js";
+import { writeJSONAtomic } from "../fileStore.js";
+
+class AdminError extends Error {
+  constructor(status, message, details = []) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const errorKey = (e) => `${e.source || e.id}|${e.message}`;
+
+export function createFaqAdminRouter({ baseDir, getKnowledgeBase, setKnowledgeBase, search }) {
+  const router = express.Router();
+
+  // ------------------------------------------------------
+  // 📥 Raw file access
+  // ------------------------------------------------------
+  function readAll() {
+    return getKnowledgeBase().sources.map((src) => readSource(baseDir, src));
+  }
+
+  function sourceFor(rawSources, category) {
+    const src = rawSources.find((s) => s.category === category);
+    if (!src) throw new AdminError(400, `Unknown category "${category}"`);
+    if (src.error) throw new AdminError(500, `${src.file}: ${src.error}`);
+    return src;
+  }
+
+  // Locate the raw array position of a normalised entry id
+  function locate(rawSources, id) {
+    const entry = getKnowledgeBase().byId.get(id);
+    if (!entry) throw new AdminError(404, `FAQ "${id}" not found`);
+    const src = sourceFor(rawSources, entry.category);
+    const { ids } = normaliseEntries(src.raw, src.category, src.file);
+    const index = ids.indexOf(id);
+    if (index === -1) throw new AdminError(409, `FAQ "${id}" changed on disk – reload first`);
+    return { entry, src, index };
+  }
+
+  // Questions/answers entries get their derived id written into the
+  // file so it stays stable when the first question is edited later.
+  function stampIds(src) {
+    if (src.category === "sales") return;
+    const { ids } = normaliseEntries(src.raw, src.category, src.file);
+    src.raw = src.raw.map((raw, i) => (ids[i] && !raw.id ? { id: ids[i], ...raw } : raw));
+  }
+
+  // ------------------------------------------------------
+  // ✅ Validate → write → hot-swap
+  // ------------------------------------------------------
+  function commit(rawSources, files) {
+    const current = getKnowledgeBase();
+    const candidate = compileKnowledgeBase(rawSources);
+
+    const knownSchema = new Set(current.errors.map(errorKey));
+    const schemaErrors = candidate.errors.filter((e) => !knownSchema.has(errorKey(e)));
+    if (schemaErrors.length) throw new AdminError(422, "FAQ schema errors", schemaErrors);
+
+    const knownTree = new Set(validateTrees(current.entries).map(errorKey));
+    const treeErrors = validateTrees(candidate.entries, current.entries).filter(
+      (e) => !knownTree.has(errorKey(e))
+    );
+    if (treeErrors.length) throw new AdminError(422, "FAQ tree errors", treeErrors);
+
+    files.forEach((src) => writeJSONAtomic(path.join(baseDir, src.file), src.raw));
+    setKnowledgeBase(candidate);
+    console.log(
+      `📝 Saved ${files.map((src) => src.file).join(", ")} (${candidate.entries.length} FAQ entries live)`
+    );
+    return candidate;
+  }
+
+  function parseBody(body) {
+    if (!body || typeof body !== "object" || Array.isArray(body))
+      throw new AdminError(400, "Body must be a JSON object");
+    const { category, ...raw } = body;
+    return { category, raw };
+  }
+
+  function nextSalesId(raw) {
+    const numeric = raw.map((r) => Number(r.id)).filter(Number.isFinite);
+    return String((numeric.length ? Math.max(...numeric) : 0) + 1);
+  }
+
+  const handle = (fn) => (req, res) => {
+    try {
+      fn(req, res);
+    } catch (err) {
+      if (err instanceof AdminError)
+        return res.status(err.status).json({ error: err.message, details: err.details });
+      console.error("❌ Admin FAQ error:", err);
+      res.status(500).json({ error: "Admin FAQ update failed" });
+    }
+  };
+
+  // ------------------------------------------------------
+  // 🔗 Routes
+  // ------------------------------------------------------
+  router.get(
+    "/faqs",
+    handle((req, res) => {
+      const kb = getKnowledgeBase();
+      const { category, q } = req.query;
+      const needle = (q || "").toLowerCase();
+      const entries = kb.entries.filter(
+        (e) =>
+          (!category || e.category === category) &&
+          (!needle || [e.title, ...e.questions].join(" ").toLowerCase().includes(needle))
+      );
+      res.json({ total: entries.length, entries });
+    })
+  );
+
+  router.get(
+    "/faqs/validate",
+    handle((req, res) => {
+      const kb = getKnowledgeBase();
+      res.json({ schemaErrors: kb.errors, treeErrors: validateTrees(kb.entries) });
+    })
+  );
+
+  // Ranking debugger – shows why each entry matched a query
+  router.get(
+    "/search",
+    handle((req, res) => {
+      const q = String(req.query.q || "");
+      if (!q.trim()) throw new AdminError(400, "Missing q");
+      const { decision, confidence, corrections, results } = search(q, req.query.context);
+      res.json({
+        query: q,
+        decision,
+        confidence,
+        corrections,
+        results: results.map((r) => ({
+          id: r.entry.id,
+          title: r.entry.title,
+          category: r.entry.category,
+          score: r.score,
+          explain: r.explain,
+        })),
+      });
+    })
+  );
+
+  router.get(
+    "/faqs/:id",
+    handle((req, res) => {
+      const { entry, src, index } = locate(readAll(), req.params.id);
+      res.json({ entry, raw: src.raw[index] });
+    })
+  );
+
+  router.post(
+    "/faqs",
+    handle((req, res) => {
+      const { category = "sales", raw } = parseBody(req.body);
+      if (!CATEGORIES.includes(category)) throw new AdminError(400, `Unknown category "${category}"`);
+
+      const rawSources = readAll();
+      const src = sourceFor(rawSources, category);
+      if (category === "sales" && raw.id === undefined) raw.id = nextSalesId(src.raw);
+      if (raw.id !== undefined && getKnowledgeBase().byId.has(String(raw.id)))
+        throw new AdminError(409, `FAQ id "${raw.id}" already exists`);
+
+      src.raw = [...src.raw, raw];
+      stampIds(src);
+      const kb = commit(rawSources, [src]);
+      const { ids } = normaliseEntries(src.raw, src.category, src.file);
+      res.status(201).json({ entry: kb.byId.get(ids[src.raw.length - 1]) });
+    })
+  );
+
+  router.put(
+    "/faqs/:id",
+    handle((req, res) => {
+      const { raw } = parseBody(req.body);
+      const id = req.params.id;
+      if (raw.id !== undefined && String(raw.id) !== id)
+        throw new AdminError(400, "FAQ ids cannot be changed – create a new entry instead");
+
+      const rawSources = readAll();
+      const { src, index } = locate(rawSources, id);
+      const keepId = (r) => (src.category === "sales" ? r.id : id);
+      src.raw = src.raw.map((r, i) => (i === index ? { ...raw, id: keepId(r) } : r));
+      stampIds(src);
+      const kb = commit(rawSources, [src]);
+      res.json({ entry: kb.byId.get(id) });
+    })
+  );
+
+  router.delete(
+    "/faqs/:id",
+    handle((req, res) => {
+      const rawSources = readAll();
+      const { entry } = locate(rawSources, req.params.id);
+      const cascade = req.query.cascade === "true" || req.query.cascade === "1";
+      const removeIds = new Set([
+        entry.id,
+        ...(cascade ? branchSubtree(entry, getKnowledgeBase().entries) : []),
+      ]);
+
+      // Cascaded branches may live in other files too
+      const changed = [];
+      for (const s of rawSources) {
+        if (s.error) continue;
+        const { ids } = normaliseEntries(s.raw, s.category, s.file);
+        if (!ids.some((id) => removeIds.has(id))) continue;
+        stampIds(s);
+        s.raw = s.raw.filter((_, i) => !removeIds.has(ids[i]));
+        changed.push(s);
+      }
+      commit(rawSources, changed);
+      res.json({ deleted: [...removeIds] });
+    })
+  );
+
+  router.post(
+    "/faqs/reload",
+    handle((req, res) => {
+      const kb = compileKnowledgeBase(readAll());
+      setKnowledgeBase(kb);
+      res.json({ faqs: kb.entries.length, counts: kb.counts, errors: kb.errors });
+    })
+  );
+
+  return router;
+}
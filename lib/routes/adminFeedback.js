@@ -0,0 +1,52 @@
+// =========================================
+// 👍 Admin Feedback API – every route takes ?from=&to=
+//   GET /feedback          → recent ratings, newest first (?rating=up|down&faqId=&limit=)
+//   GET /feedback/worst    → worst-rated FAQs with the queries that led to them
+//                            (?minVotes=&limit=), plus up/down per reply source
+// =========================================
+
+import express from "express";
+import { parseDateRange } from "./dateRange.js";
+import { filterByDate } from "../analytics.js";
+import { RATINGS, worstRated, ratingsBySource } from "../feedback.js";
+
+export function createFeedbackAdminRouter({ feedbackStore, getKnowledgeBase }) {
+  const router = express.Router();
+
+  // The ratings inside ?from=&to=, or null after answering 400
+  const ratings = (req, res) => {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      res.status(400).json({ error: range.error });
+      return null;
+    }
+    return filterByDate(feedbackStore.list(), range);
+  };
+
+  router.get("/feedback", (req, res) => {
+    const { rating, faqId } = req.query;
+    if (rating && !RATINGS.includes(rating))
+      return res.status(400).json({ error: `rating must be one of ${RATINGS.join(", ")}` });
+    const all = ratings(req, res);
+    if (!all) return;
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const found = all
+      .filter((r) => (!rating || r.rating === rating) && (!faqId || String(r.faqId) === String(faqId)))
+      .reverse();
+    res.json({ total: found.length, feedback: found.slice(0, limit) });
+  });
+
+  router.get("/feedback/worst", (req, res) => {
+    const all = ratings(req, res);
+    if (!all) return;
+    const limit = Math.min(Number(req.query.limit) || 20, 200);
+    const minVotes = Math.max(Number(req.query.minVotes) || 1, 1);
+    res.json({
+      ratings: all.length,
+      bySource: ratingsBySource(all),
+      faqs: worstRated(all, getKnowledgeBase(), { limit, minVotes }),
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,91 @@
+// =========================================
+// 🙋 Agent Console API – the live handoff queue
+//   GET  /handoff                      → team status and queue counts
+//   GET  /handoff/tickets?status=      → tickets (waiting = the queue, oldest first)
+//   GET  /handoff/tickets/:id          → one ticket with its transcript and messages
+//   POST /handoff/tickets/:id/claim    { agent }
+//   POST /handoff/tickets/:id/messages { agent, text }
+//   POST /handoff/tickets/:id/close    { agent }
+//   GET  /handoff/events               → Server-Sent Events: created, claimed,
+//                                        message, closed, offline
+// =========================================
+
+import express from "express";
+import { TICKET_STATUSES, isWithinHours } from "../handoff.js";
+import { openEventStream } from "../sse.js";
+
+const MAX_AGENT_MESSAGE = 2000;
+
+export function createHandoffAdminRouter({ queue, config }) {
+  const router = express.Router();
+
+  const agentName = (req) => String(req.body?.agent || "").trim().slice(0, 60);
+  const failed = (res, { status, error }) => res.status(status).json({ error });
+
+  router.get("/handoff", (req, res) => {
+    res.json({
+      open: isWithinHours(config),
+      timezone: config.timezone,
+      waiting: queue.list({ status: "waiting" }).length,
+      active: queue.list({ status: "active" }).length,
+      offline: queue.list({ status: "offline" }).length,
+      errors: config.errors,
+    });
+  });
+
+  router.get("/handoff/tickets", (req, res) => {
+    const { status } = req.query;
+    if (status && !TICKET_STATUSES.includes(status))
+      return res.status(400).json({ error: `status must be one of ${TICKET_STATUSES.join(", ")}` });
+    const tickets = queue.list({ status }).map(queue.summary);
+    res.json({ total: tickets.length, tickets });
+  });
+
+  router.get("/handoff/tickets/:id", (req, res) => {
+    const ticket = queue.get(req.params.id);
+    if (!ticket) return res.status(404).json({ error: "Ticket not found" });
+    res.json(ticket);
+  });
+
+  router.post("/handoff/tickets/:id/claim", (req, res) => {
+    const agent = agentName(req);
+    if (!agent) return res.status(400).json({ error: "agent is required" });
+    const result = queue.claim(req.params.id, agent);
+    if (result.error) return failed(res, result);
+    console.log(`🙋 ${agent} claimed handoff ticket ${req.params.id}`);
+    res.json(result.ticket);
+  });
+
+  router.post("/handoff/tickets/:id/messages", (req, res) => {
+    const agent = agentName(req);
+    const body = typeof req.body?.text === "string" ? req.body.text.trim() : "";
+    if (!agent) return res.status(400).json({ error: "agent is required" });
+    if (!body) return res.status(400).json({ error: "text is required" });
+    if (body.length > MAX_AGENT_MESSAGE)
+      return res.status(413).json({ error: `text must be at most ${MAX_AGENT_MESSAGE} characters` });
+    const result = queue.post(req.params.id, "agent", body, agent);
+    if (result.error) return failed(res, result);
+    res.status(201).json(result.message);
+  });
+
+  router.post("/handoff/tickets/:id/close", (req, res) => {
+    const result = queue.close(req.params.id, agentName(req) || "agent");
+    if (result.error) return failed(res, result);
+    console.log(`✅ Handoff ticket ${req.params.id} closed`);
+    res.json(result.ticket);
+  });
+
+  // The console's live feed – starts with the current queue
+  router.get("/handoff/events", (req, res) => {
+    const stream = openEventStream(res);
+    stream.send("queue", {
+      waiting: queue.list({ status: "waiting" }).map(queue.summary),
+      active: queue.list({ status: "active" }).map(queue.summary),
+    });
+    const listener = (event) => stream.send(event.type, event);
+    queue.events.on("ticket", listener);
+    res.on("close", () => queue.events.off("ticket", listener));
+  });
+
+  return router;
+}
@@ -0,0 +1,36 @@
+// =========================================
+// 📤 Admin Leads API – export captured quote/demo leads
+// =========================================
+
+import express from "express";
+import { leadsToCSV } from "../leads.js";
+
+export function createLeadAdminRouter({ leadStore }) {
+  const router = express.Router();
+
+  // GET /leads?format=csv|json&since=2025-11-01
+  router.get("/leads", (req, res) => {
+    try {
+      const since = req.query.since ? Date.parse(req.query.since) : null;
+      if (req.query.since && Number.isNaN(since))
+        return res.status(400).json({ error: "since must be an ISO date" });
+
+      const leads = leadStore
+        .list()
+        .filter((l) => !since || Date.parse(l.updatedAt || l.time) >= since);
+
+      if (req.query.format === "csv") {
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="tappy-leads-${stamp}.csv"`);
+        return res.send(leadsToCSV(leads));
+      }
+      res.json({ total: leads.length, leads });
+    } catch (err) {
+      console.error("❌ Lead export error:", err);
+      res.status(500).json({ error: "Lead export failed" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,83 @@
+// =========================================
+// 🔏 Admin Privacy API – retention and data subject requests
+//   GET  /privacy                           → retention periods, IP mode, last purge
+//   POST /privacy/purge                     → run the retention purge now
+//   GET  /privacy/export?email= | ?sessionId= | ?conversationId= → everything tied to it, as a JSON download
+//   POST /privacy/erase { email } | { sessionId } | { conversationId } → deletes it all, returns counts
+// A session id only finds anything while the session is live – after that,
+// use the conversation id from the transcripts. Both 404 when nothing is held.
+// Erasures are logged without the address or ids.
+// =========================================
+
+import express from "express";
+import { isValidEmail } from "../leads.js";
+import { isValidSessionId } from "../sessionStore.js";
+import { isValidConversationId } from "../transcripts.js";
+
+const read = (value) => (typeof value === "string" ? value.trim() : "");
+
+// { email }, { sessionId } or { conversationId } → { subject } or { error }
+function readSubject(input = {}) {
+  const email = read(input.email).toLowerCase();
+  const sessionId = read(input.sessionId);
+  const conversationId = read(input.conversationId).toLowerCase();
+  if ([email, sessionId, conversationId].filter(Boolean).length !== 1)
+    return { error: "Give one of email, sessionId or conversationId" };
+  if (email && !isValidEmail(email)) return { error: "email is not a valid address" };
+  if (sessionId && !isValidSessionId(sessionId)) return { error: "sessionId is not a valid session id" };
+  if (conversationId && !isValidConversationId(conversationId))
+    return { error: "conversationId is not a valid conversation id" };
+  return { subject: email ? { email } : sessionId ? { sessionId } : { conversationId } };
+}
+
+const NOT_FOUND = "Nothing is held for that subject";
+
+export function createPrivacyAdminRouter({ privacy }) {
+  const router = express.Router();
+
+  router.get("/privacy", (req, res) => {
+    const { retentionDays, purgeEveryHours, ip, redact, errors } = privacy.config;
+    res.json({ retentionDays, purgeEveryHours, ip, redact, lastPurge: privacy.lastPurge(), errors });
+  });
+
+  router.post("/privacy/purge", (req, res) => {
+    try {
+      res.json(privacy.purge());
+    } catch (err) {
+      console.error("❌ Retention purge failed:", err);
+      res.status(500).json({ error: "Purge failed" });
+    }
+  });
+
+  router.get("/privacy/export", async (req, res) => {
+    const { subject, error } = readSubject(req.query);
+    if (error) return res.status(400).json({ error });
+    try {
+      const found = await privacy.export(subject);
+      if (!found) return res.status(404).json({ error: NOT_FOUND });
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.setHeader("Content-Disposition", `attachment; filename="tappy-data-export-${stamp}.json"`);
+      res.json({ exportedAt: new Date().toISOString(), subject, ...found });
+    } catch (err) {
+      console.error("❌ Data export failed:", err);
+      res.status(500).json({ error: "Export failed" });
+    }
+  });
+
+  router.post("/privacy/erase", async (req, res) => {
+    const { subject, error } = readSubject(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+      const removed = await privacy.erase(subject);
+      if (!removed) return res.status(404).json({ error: NOT_FOUND });
+      const by = subject.email ? "email" : subject.sessionId ? "session" : "conversation";
+      console.log(`🔏 Erased data (${by} request):`, JSON.stringify(removed));
+      res.json({ erased: true, removed });
+    } catch (err) {
+      console.error("❌ Data erasure failed:", err);
+      res.status(500).json({ error: "Erase failed" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,48 @@
+// =========================================
+// 📝 Admin Transcripts API – look up visitor conversations
+// =========================================
+
+import express from "express";
+import { parseDateRange } from "./dateRange.js";
+
+export function createTranscriptAdminRouter({ transcriptLog }) {
+  const router = express.Router();
+
+  // GET /transcripts?from=2025-11-01&to=2025-11-30&conversationId=&faqId=&source=&q=&limit=
+  router.get("/transcripts", (req, res) => {
+    try {
+      const { from, to, error } = parseDateRange(req.query);
+      if (error) return res.status(400).json({ error });
+
+      const limit = Math.min(Number(req.query.limit) || 50, 500);
+      res.json(
+        transcriptLog.search({
+          from,
+          to,
+          conversationId: req.query.conversationId || null,
+          faqId: req.query.faqId || null,
+          source: req.query.source || null,
+          q: req.query.q || null,
+          limit,
+        })
+      );
+    } catch (err) {
+      console.error("❌ Transcript search error:", err);
+      res.status(500).json({ error: "Transcript search failed" });
+    }
+  });
+
+  // GET /transcripts/:conversationId → every turn of one conversation
+  router.get("/transcripts/:conversationId", (req, res) => {
+    try {
+      const turns = transcriptLog.conversation(req.params.conversationId);
+      if (!turns.length) return res.status(404).json({ error: "Conversation not found" });
+      res.json({ conversationId: req.params.conversationId, turns });
+    } catch (err) {
+      console.error("❌ Transcript read error:", err);
+      res.status(500).json({ error: "Transcript read failed" });
+    }
+  });
+
+  return router;
+}
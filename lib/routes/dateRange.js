@@ -0,0 +1,18 @@
+// =========================================
+// 📅 ?from=&to= query parsing for admin reports
+// =========================================
+
+const parseDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  // A bare date for `to` means the whole of that day
+  const t = Date.parse(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+  return Number.isNaN(t) ? NaN : t;
+};
+
+// → { from, to } in epoch ms (null = open-ended) or { error }
+export function parseDateRange(query) {
+  const from = parseDate(query.from);
+  const to = parseDate(query.to, true);
+  if (Number.isNaN(from) || Number.isNaN(to)) return { error: "from and to must be ISO dates" };
+  return { from, to };
+}
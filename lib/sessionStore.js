@@ -0,0 +1,250 @@
+// =========================================
+// 🗂️ Session Stores
+// Chat sessions with sliding expiry, behind one async interface:
+//   get(id) → session | null    (refreshes the expiry)
+//   set(id, session)            (refreshes the expiry)
+//   destroy(id) · size() · close()
+// Read-modify-write cycles on one session (a chat turn, an agent message
+// being delivered) go through createSessionLocks() so they can't overwrite
+// each other. The locks are per process.
+//
+// SESSION_STORE = memory (default) | file | sqlite
+//   memory → in-process Map, TTL + LRU cap (SESSION_MAX)
+//   file   → memory store flushed to SESSION_FILE (sessions.json) in the background
+//   sqlite → SESSION_DB (sessions.db) via the optional better-sqlite3 package
+// =========================================
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { writeJSONAtomic } from "./fileStore.js";
+
+export const SESSION_TTL_MS = 30 * 60 * 1000; // matches the 30-minute cookie
+
+// 144 bits from the CSPRNG, URL/cookie safe
+export const newSessionId = () => crypto.randomBytes(18).toString("base64url");
+export const isValidSessionId = (id) => typeof id === "string" && /^[A-Za-z0-9_-]{24}$/.test(id);
+
+// ------------------------------------------------------
+// 🧠 Memory (TTL + LRU)
+// ------------------------------------------------------
+export function createMemoryStore({ ttlMs = SESSION_TTL_MS, maxEntries = 10000, onChange = null } = {}) {
+  const entries = new Map(); // id → { data, expiresAt } – Map order doubles as LRU order
+
+  const live = (id) => {
+    const hit = entries.get(id);
+    if (!hit) return null;
+    if (hit.expiresAt <= Date.now()) {
+      entries.delete(id);
+      onChange?.();
+      return null;
+    }
+    return hit;
+  };
+
+  const prune = () => {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, hit] of entries) {
+      if (hit.expiresAt <= now) {
+        entries.delete(id);
+        removed++;
+      }
+    }
+    if (removed) {
+      console.log(`🧹 Cleaned up ${removed} expired sessions`);
+      onChange?.();
+    }
+  };
+  const timer = setInterval(prune, 60 * 1000);
+  timer.unref();
+
+  return {
+    async get(id) {
+      const hit = live(id);
+      if (!hit) return null;
+      entries.delete(id); // move to the most-recent end
+      entries.set(id, { data: hit.data, expiresAt: Date.now() + ttlMs });
+      return hit.data;
+    },
+    async set(id, data) {
+      entries.delete(id);
+      entries.set(id, { data, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      onChange?.();
+    },
+    async destroy(id) {
+      if (entries.delete(id)) onChange?.();
+    },
+    async size() {
+      return entries.size;
+    },
+    async close() {
+      clearInterval(timer);
+    },
+    // file store helpers
+    dump: () => Object.fromEntries(entries),
+    restore(saved) {
+      const now = Date.now();
+      for (const [id, hit] of Object.entries(saved || {})) {
+        if (hit && typeof hit.expiresAt === "number" && hit.expiresAt > now) entries.set(id, hit);
+      }
+    },
+  };
+}
+
+// ------------------------------------------------------
+// 💾 File (memory store + debounced atomic snapshots)
+// ------------------------------------------------------
+export function createFileStore({ file, ttlMs = SESSION_TTL_MS, maxEntries = 10000, flushMs = 5000 }) {
+  let dirty = false;
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    if (!dirty) return;
+    dirty = false;
+    try {
+      writeJSONAtomic(file, memory.dump());
+    } catch (err) {
+      console.error("❌ Failed to save sessions:", err.message);
+    }
+  };
+
+  // Writes are batched: one snapshot per flushMs however busy the chat is
+  const schedule = () => {
+    dirty = true;
+    if (!timer) {
+      timer = setTimeout(flush, flushMs);
+      timer.unref();
+    }
+  };
+
+  const memory = createMemoryStore({ ttlMs, maxEntries, onChange: schedule });
+  try {
+    // Pre-v16 files were keyed by IP without expiry – those entries are dropped
+    if (fs.existsSync(file)) memory.restore(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (err) {
+    console.warn(`⚠️ Could not read ${file}, starting with no sessions:`, err.message);
+  }
+
+  return {
+    ...memory,
+    async close() {
+      await memory.close();
+      if (timer) clearTimeout(timer);
+      flush();
+    },
+  };
+}
+
+// ------------------------------------------------------
+// 🗄️ SQLite
+// ------------------------------------------------------
+export async function createSqliteStore({ file, ttlMs = SESSION_TTL_MS }) {
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch {
+    throw new Error("SESSION_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)");
+  }
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+  )`);
+  db.exec("CREATE INDEX IF NOT EXISTS sessions_expires ON sessions (expires_at)");
+
+  const q = {
+    get: db.prepare("SELECT data FROM sessions WHERE id = ? AND expires_at > ?"),
+    touch: db.prepare("UPDATE sessions SET expires_at = ? WHERE id = ?"),
+    upsert: db.prepare(
+      "INSERT INTO sessions (id, data, expires_at) VALUES (?, ?, ?) " +
+        "ON CONFLICT(id) DO UPDATE SET data = excluded.data, expires_at = excluded.expires_at"
+    ),
+    destroy: db.prepare("DELETE FROM sessions WHERE id = ?"),
+    prune: db.prepare("DELETE FROM sessions WHERE expires_at <= ?"),
+    count: db.prepare("SELECT COUNT(*) AS n FROM sessions WHERE expires_at > ?"),
+  };
+
+  const timer = setInterval(() => {
+    const { changes } = q.prune.run(Date.now());
+    if (changes) console.log(`🧹 Cleaned up ${changes} expired sessions`);
+  }, 60 * 1000);
+  timer.unref();
+
+  return {
+    async get(id) {
+      const row = q.get.get(id, Date.now());
+      if (!row) return null;
+      q.touch.run(Date.now() + ttlMs, id);
+      return JSON.parse(row.data);
+    },
+    async set(id, data) {
+      q.upsert.run(id, JSON.stringify(data), Date.now() + ttlMs);
+    },
+    async destroy(id) {
+      q.destroy.run(id);
+    },
+    async size() {
+      return q.count.get(Date.now()).n;
+    },
+    async close() {
+      clearInterval(timer);
+      db.close();
+    },
+  };
+}
+
+// ------------------------------------------------------
+// 🔒 One writer per session
+// ------------------------------------------------------
+// → (id, fn) => fn()'s result, once every earlier fn for that id has
+// settled. A null id (no session yet) runs straight away.
+export function createSessionLocks() {
+  const tails = new Map(); // id → the last run queued for it
+
+  return (id, fn) => {
+    if (!id) return fn();
+    const run = (tails.get(id) || Promise.resolve()).then(() => fn());
+    const tail = run.catch(() => {});
+    tails.set(id, tail);
+    tail.then(() => tails.get(id) === tail && tails.delete(id));
+    return run;
+  };
+}
+
+// ------------------------------------------------------
+// 🏭 Factory
+// ------------------------------------------------------
+export async function createSessionStore({ baseDir, env = process.env }) {
+  const ttlMs = (Number(env.SESSION_TTL_MINUTES) || 30) * 60 * 1000;
+  const maxEntries = Number(env.SESSION_MAX) || 10000;
+  const kind = env.SESSION_STORE || "memory";
+
+  switch (kind) {
+    case "memory":
+      return { kind, ttlMs, store: createMemoryStore({ ttlMs, maxEntries }) };
+    case "file":
+      return {
+        kind,
+        ttlMs,
+        store: createFileStore({
+          file: env.SESSION_FILE || path.join(baseDir, "sessions.json"),
+          ttlMs,
+          maxEntries,
+        }),
+      };
+    case "sqlite":
+      return {
+        kind,
+        ttlMs,
+        store: await createSqliteStore({ file: env.SESSION_DB || path.join(baseDir, "sessions.db"), ttlMs }),
+      };
+    default:
+      throw new Error(`Unknown SESSION_STORE "${kind}"`);
+  }
+}
@@ -0,0 +1,42 @@
+// =========================================
+// 📡 Server-Sent Events
+// A text/event-stream response:
+//   event: <name>
+//   data: <JSON>
+//
+// A comment line goes out every HEARTBEAT_MS so proxies (Render, nginx)
+// keep quiet connections open. Writes after the client has gone are dropped.
+// =========================================
+
+export const HEARTBEAT_MS = 15000;
+
+export function openEventStream(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  let open = true;
+  const heartbeat = setInterval(() => open && res.write(": ping\n\n"), HEARTBEAT_MS);
+  const stop = () => {
+    open = false;
+    clearInterval(heartbeat);
+  };
+  res.on("close", stop);
+
+  return {
+    get open() {
+      return open;
+    },
+    send(event, data) {
+      if (open) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!open) return;
+      stop();
+      res.end();
+    },
+  };
+}
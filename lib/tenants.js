@@ -0,0 +1,135 @@
+// =========================================
+// 🏢 Tenants
+// One Tappy instance serves several sites. tenants.json maps each site's
+// Origin to its own FAQ files, branding, links and features:
+//
+//   {
+//     "id": "giveavoucher",
+//     "name": "GiveaVoucher",                 ← {brand} in replies
+//     "botName": "Tappy",                     ← {botName} in replies
+//     "origins": ["https://www.example.com"],
+//     "faqs": [{ "category": "support", "file": "faqs_support.json" }],
+//     "greeting": "…" | { "en": "…", "es": "…" },   ← optional, else the locale's
+//     "links": { "contact": "/contact-us.html", "faqs": "/faqs.html" },
+//     "features": { "leads": true, "quotes": true, "llm": true, "pages": true, "intents": true,
+//                   "handoff": true }                 ← quotes: the quote builder (catalogue.json)
+//   }
+//
+// Requests with an Origin no tenant lists are refused. Requests without
+// one (curl, server-to-server) belong to the tenant marked "default": true.
+// =========================================
+
+import fs from "fs";
+import { CATEGORIES, DEFAULT_SOURCES } from "./knowledge.js";
+
+export const DEFAULT_FEATURES = {
+  leads: true,
+  quotes: true,
+  llm: true,
+  pages: true,
+  intents: true,
+  handoff: true,
+};
+export const DEFAULT_LINKS = { contact: "/contact-us.html", faqs: "/faqs.html" };
+
+// "https://WWW.Example.com/" → "https://www.example.com"
+export const normaliseOrigin = (origin) => String(origin ?? "").trim().toLowerCase().replace(/\/+$/, "");
+
+// ------------------------------------------------------
+// ⚙️ Config
+// ------------------------------------------------------
+function normaliseTenant(raw, index, errors) {
+  const id = raw?.id ? String(raw.id) : null;
+  const at = `tenant ${id || index + 1}`;
+  if (!id || !/^[a-z0-9-]+$/.test(id)) {
+    errors.push(`${at}: id must be lowercase letters, digits or dashes`);
+    return null;
+  }
+  if (raw.origins !== undefined && !Array.isArray(raw.origins))
+    errors.push(`${at}: origins must be an array`);
+
+  const faqs = raw.faqs === undefined ? DEFAULT_SOURCES : raw.faqs;
+  const badFaqs = !Array.isArray(faqs) || !faqs.length || faqs.some(
+    (f) => !CATEGORIES.includes(f?.category) || typeof f?.file !== "string" || !f.file.endsWith(".json")
+  );
+  if (badFaqs) {
+    errors.push(`${at}: faqs must list { category: ${CATEGORIES.join(" | ")}, file: "*.json" }`);
+    return null;
+  }
+  for (const feature of Object.keys(raw.features || {})) {
+    if (!(feature in DEFAULT_FEATURES)) errors.push(`${at}: unknown feature "${feature}"`);
+  }
+
+  return {
+    id,
+    name: raw.name || "RST EPOS",
+    botName: raw.botName || "Tappy",
+    default: raw.default === true,
+    origins: (Array.isArray(raw.origins) ? raw.origins : []).map(normaliseOrigin).filter(Boolean),
+    faqs: faqs.map(({ category, file }) => ({ category, file })),
+    greeting: raw.greeting || null,
+    links: { ...DEFAULT_LINKS, ...raw.links },
+    features: { ...DEFAULT_FEATURES, ...raw.features },
+  };
+}
+
+export function compileTenants(config = {}) {
+  const errors = [];
+  const tenants = [];
+  const byId = new Map();
+  const byOrigin = new Map();
+
+  (config.tenants || []).forEach((raw, index) => {
+    const tenant = normaliseTenant(raw, index, errors);
+    if (!tenant) return;
+    if (byId.has(tenant.id)) return errors.push(`tenant ${tenant.id}: duplicate id`);
+    if (!tenant.origins.length && !tenant.default) errors.push(`tenant ${tenant.id}: no origins yet`);
+    for (const origin of tenant.origins) {
+      if (byOrigin.has(origin)) {
+        errors.push(`tenant ${tenant.id}: ${origin} already belongs to ${byOrigin.get(origin).id}`);
+        continue;
+      }
+      byOrigin.set(origin, tenant);
+    }
+    byId.set(tenant.id, tenant);
+    tenants.push(tenant);
+  });
+
+  // Without a usable config only origin-less requests get through
+  if (!tenants.length) {
+    errors.push("no tenants configured – cross-origin requests will be refused");
+    const fallback = normaliseTenant({ id: "default", default: true }, 0, errors);
+    tenants.push(fallback);
+    byId.set(fallback.id, fallback);
+  }
+  const defaults = tenants.filter((t) => t.default);
+  if (defaults.length > 1) errors.push(`more than one default tenant – using ${defaults[0].id}`);
+
+  return { tenants, byId, byOrigin, fallback: defaults[0] || tenants[0], errors };
+}
+
+export function loadTenants(file) {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error(`❌ Failed to read ${file}:`, err.message);
+  }
+  return compileTenants(config);
+}
+
+// ------------------------------------------------------
+// 🔎 Lookup
+// ------------------------------------------------------
+// The tenant for a request's Origin header – null when it isn't allowed
+export function tenantForOrigin(registry, origin) {
+  if (!origin) return registry.fallback;
+  return registry.byOrigin.get(normaliseOrigin(origin)) || null;
+}
+
+// The tenant's greeting for a locale, when it has its own
+export function tenantGreeting(tenant, locale) {
+  const { greeting } = tenant;
+  if (!greeting) return null;
+  return typeof greeting === "string" ? greeting : greeting[locale] || null;
+}
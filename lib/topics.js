@@ -0,0 +1,131 @@
+// =========================================
+// 🧵 Topic Memory
+// Remembers what the visitor is talking about so follow-ups such as
+// "how much is it?" or "does it work with Dojo?" are searched in context.
+//
+//   session.topic = { name, faqId, idle, at }
+//     name  → a topic from intents.json `topics` (payments, vouchers …) or null
+//     faqId → the last FAQ shown
+//     idle  → turns since the topic was last mentioned or shown
+//
+// Topics come from intents (`action.topic`) and from the FAQs shown – an
+// FAQ outside the current topic means the visitor has moved on. Memory
+// lapses after TOPIC_MAX_IDLE unrelated turns or TOPIC_TTL_MS of silence.
+// =========================================
+
+import { tokenize, stem, STOP_WORDS } from "./ranking.js";
+
+export const TOPIC_MAX_IDLE = 3;
+export const TOPIC_TTL_MS = 15 * 60 * 1000;
+
+const terms = (value) => tokenize(value).filter((w) => !STOP_WORDS.has(w)).map(stem);
+
+// ------------------------------------------------------
+// ⚙️ Config – intents.json `topics: { name: { label, terms: [words] } }`
+// ------------------------------------------------------
+export function compileTopics(config = {}, errors = []) {
+  const topics = {};
+  for (const [name, raw] of Object.entries(config || {})) {
+    if (!raw?.label) errors.push(`topic ${name}: missing label`);
+    if (!Array.isArray(raw?.terms) || !raw.terms.length) {
+      errors.push(`topic ${name}: needs terms`);
+      continue;
+    }
+    topics[name] = { name, label: raw.label || name, terms: new Set(raw.terms.flatMap(terms)) };
+  }
+  return topics;
+}
+
+// topic name → Set of FAQ ids whose title or questions mention one of its terms
+export function topicEntries(entries, topics) {
+  const byTopic = new Map(Object.keys(topics).map((name) => [name, new Set()]));
+  for (const entry of entries) {
+    const words = new Set(terms([entry.title, ...(entry.questions || [])].join(" ")));
+    for (const topic of Object.values(topics)) {
+      if ([...topic.terms].some((t) => words.has(t))) byTopic.get(topic.name).add(entry.id);
+    }
+  }
+  return byTopic;
+}
+
+// ------------------------------------------------------
+// 🧠 Session state
+// ------------------------------------------------------
+// The remembered topic, or null once it has lapsed. Sessions from before
+// topic memory hold a bare topic name.
+export function activeTopic(session, now = Date.now()) {
+  const topic =
+    typeof session.topic === "string"
+      ? { name: session.topic, faqId: null, idle: 0, at: now }
+      : session.topic;
+  if (!topic || (!topic.name && !topic.faqId)) return null;
+  if (topic.idle >= TOPIC_MAX_IDLE || now - topic.at > TOPIC_TTL_MS) {
+    session.topic = null;
+    return null;
+  }
+  return topic;
+}
+
+// The visitor named a topic ("does TapaPay …") – a different one forgets the last FAQ
+export function mentionTopic(session, name) {
+  const current = activeTopic(session);
+  session.topic = {
+    name,
+    faqId: current?.name === name ? current.faqId : null,
+    idle: 0,
+    at: Date.now(),
+  };
+}
+
+// An FAQ was shown – it keeps the current topic if it belongs to it,
+// otherwise the topic becomes the FAQ's own (or none)
+export function showTopicEntry(session, entry, byTopic) {
+  const current = activeTopic(session);
+  const owns = (name) => byTopic.get(name)?.has(entry.id);
+  const name = current?.name && owns(current.name) ? current.name : [...byTopic.keys()].find(owns) || null;
+  if (current?.name && name !== current.name)
+    console.log(`🧵 Topic: ${current.name} → ${name || "none"}`);
+  session.topic = { name, faqId: entry.id, idle: 0, at: Date.now() };
+}
+
+// A turn that neither named nor showed anything on topic
+export function idleTopic(session) {
+  const current = activeTopic(session);
+  if (current) session.topic = { ...current, idle: current.idle + 1 };
+}
+
+export const forgetTopic = (session) => {
+  session.topic = null;
+};
+
+// ------------------------------------------------------
+// ↪️ Follow-up rewriting
+// ------------------------------------------------------
+const PRONOUN = /\b(it|this|that|they|them|these|those)\b/;
+const CONTINUATION = /^(and|also|plus|what about|how about|and what about|and how about)\s+/;
+const MAX_FOLLOW_UP_WORDS = 8;
+
+// "how much is it" + "TapaPay" → "how much is tapapay"
+// "and refunds?"   + "GiveaVoucher" → "refunds giveavoucher"
+// Returns null when the message doesn't lean on the previous turn.
+// `continuation: false` when the message names a different topic itself.
+export function resolveFollowUp(message, subject, { continuation = true } = {}) {
+  if (!subject) return null;
+  const words = tokenize(message);
+  if (!words.length || words.length > MAX_FOLLOW_UP_WORDS) return null;
+  const input = words.join(" ");
+  const name = tokenize(subject).join(" ");
+
+  if (PRONOUN.test(input)) return input.replace(PRONOUN, name);
+  if (!continuation) return null;
+  const rest = input.replace(CONTINUATION, "");
+  if (rest !== input && rest) return `${rest} ${name}`;
+  return null;
+}
+
+// What "it" refers to: the topic's label, else the last FAQ's title
+export function topicSubject(topic, topics, kb) {
+  if (!topic) return null;
+  if (topic.name && topics[topic.name]) return topics[topic.name].label;
+  return topic.faqId ? kb.byId.get(String(topic.faqId))?.title || null : null;
+}
@@ -0,0 +1,115 @@
+// =========================================
+// 📝 Conversation Transcripts
+// Each session keeps its recent turns (for GET /api/history) and every
+// turn is appended to transcripts.jsonl so support can look a chat up
+// after the session has expired.
+//
+// Conversations are identified by a short public conversationId – never
+// by the session cookie, which would let whoever holds it take over the chat.
+// =========================================
+
+import fs from "fs";
+import crypto from "crypto";
+import { readJSONLines, removeJSONLines } from "./fileStore.js";
+
+export const MAX_SESSION_TURNS = 50;
+
+export const newConversationId = () => crypto.randomBytes(6).toString("hex");
+export const isValidConversationId = (id) => typeof id === "string" && /^[0-9a-f]{12}$/.test(id);
+// Names a turn within its conversation (feedback refers to it)
+const newTurnId = () => crypto.randomBytes(4).toString("hex");
+
+// ------------------------------------------------------
+// 💬 Session transcript
+// ------------------------------------------------------
+export function recordTurn(
+  session,
+  { message, reply, currentId, faqId, source, match, choice, intent, topic, followUp }
+) {
+  if (!session.conversationId) session.conversationId = newConversationId();
+  const turn = {
+    id: newTurnId(),
+    at: new Date().toISOString(),
+    message: String(message ?? ""),
+    reply,
+    currentId: currentId ?? null,
+    faqId: faqId ?? null,
+    source,
+    match: match ?? null,
+    ...(choice ? { choice } : {}),
+    ...(intent ? { intent } : {}),
+    ...(topic ? { topic } : {}),
+    ...(followUp ? { followUp } : {}),
+  };
+  session.transcript = [...(session.transcript || []), turn].slice(-MAX_SESSION_TURNS);
+  return turn;
+}
+
+// ------------------------------------------------------
+// 💾 transcripts.jsonl
+// ------------------------------------------------------
+function summarise(conversationId, turns) {
+  return {
+    conversationId,
+    startedAt: turns[0].time,
+    lastAt: turns[turns.length - 1].time,
+    turns: turns.length,
+    firstMessage: turns[0].message,
+    faqIds: [...new Set(turns.map((t) => t.faqId).filter(Boolean))],
+    sources: [...new Set(turns.map((t) => t.source))],
+  };
+}
+
+export function createTranscriptLog(file) {
+  return {
+    append(conversationId, turn, extra = {}) {
+      const { at, ...rest } = turn;
+      const line = { time: at, conversationId, ...extra, ...rest };
+      try {
+        fs.appendFileSync(file, JSON.stringify(line) + "\n");
+      } catch (err) {
+        console.error("❌ Failed to write transcript:", err.message);
+      }
+    },
+
+    // Every logged turn, oldest first
+    turns() {
+      return readJSONLines(file);
+    },
+
+    // Conversations with at least one turn matching all the filters, newest first
+    search({ from = null, to = null, conversationId, faqId, source, q, limit = 50 } = {}) {
+      const needle = q ? q.toLowerCase() : null;
+      const byConversation = new Map();
+      for (const t of readJSONLines(file)) {
+        if (!byConversation.has(t.conversationId)) byConversation.set(t.conversationId, []);
+        byConversation.get(t.conversationId).push(t);
+      }
+
+      const matches = (t) => {
+        const time = Date.parse(t.time);
+        if (from !== null && time < from) return false;
+        if (to !== null && time > to) return false;
+        if (faqId && String(t.faqId) !== String(faqId)) return false;
+        if (source && t.source !== source) return false;
+        if (needle && !(t.message || "").toLowerCase().includes(needle)) return false;
+        return true;
+      };
+
+      const found = [];
+      for (const [id, turns] of byConversation) {
+        if (conversationId && id !== conversationId) continue;
+        if (turns.some(matches)) found.push(summarise(id, turns));
+      }
+      found.sort((a, b) => (a.lastAt < b.lastAt ? 1 : -1));
+      return { total: found.length, conversations: found.slice(0, limit) };
+    },
+
+    conversation(conversationId) {
+      return readJSONLines(file).filter((t) => t.conversationId === conversationId);
+    },
+
+    // Retention and erasure – drops the turns `test` matches → how many
+    remove: (test) => removeJSONLines(file, test),
+  };
+}
@@ -0,0 +1,408 @@
+// =========================================
+// 💬 Tappy Chat Widget
+// Served by the chat server at /widget.js – one tag per site page:
+//
+//   <script src="https://tappy-chat.onrender.com/widget.js" defer
+//           data-context="support"          ← sales | support | general
+//           data-title="Tappy"
+//           data-subtitle="RST EPOS assistant"
+//           data-color="#e4002b"            ← bubble, header and your messages
+//           data-text-color="#ffffff"       ← text on that colour
+//           data-position="right"           ← right | left
+//           data-locale="es"                ← optional, else detected per message
+//           data-placeholder="Type your question…"
+//           data-open="false"></script>     ← start open on first visit
+//
+// Replies use the v15 payloads (`format: html`): an HTML string, or
+// { type: "yesno" } / { type: "options" } objects. `currentId` from each
+// reply goes back with the next message; yes/no buttons send the question's
+// own currentId. Every answer carries 👍 / 👎 (POST /api/feedback with its
+// turnId). Open/closed state is kept in localStorage, the conversation
+// itself in the server session (restored via /api/history).
+// =========================================
+
+(function () {
+  "use strict";
+
+  const script = document.currentScript;
+  if (!script || window.__tappyWidget) return;
+  window.__tappyWidget = true;
+
+  const attr = (name, fallback) => script.getAttribute(`data-${name}`) || fallback;
+  // Colours go straight into the stylesheet – anything but a plain CSS colour is ignored
+  const colour = (name, fallback) => {
+    const value = attr(name, fallback).trim();
+    return /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%]+\))$/i.test(value) ? value : fallback;
+  };
+  const config = {
+    api: attr("api", new URL(script.src).origin),
+    context: attr("context", "general"),
+    title: attr("title", "Tappy"),
+    subtitle: attr("subtitle", "RST EPOS assistant"),
+    color: colour("color", "#e4002b"),
+    textColor: colour("text-color", "#ffffff"),
+    position: attr("position", "right") === "left" ? "left" : "right",
+    locale: attr("locale", null),
+    placeholder: attr("placeholder", "Type your question…"),
+    open: attr("open", "false") === "true",
+  };
+
+  const OPEN_KEY = "tappy:open";
+  const state = { currentId: null, busy: false, loaded: false, events: null };
+
+  // ------------------------------------------------------
+  // 🎨 Markup & styles (inside a shadow root so site CSS can't leak in)
+  // ------------------------------------------------------
+  const host = document.createElement("div");
+  host.id = "tappy-widget";
+  const root = host.attachShadow({ mode: "open" });
+
+  root.innerHTML = `
+    <style>
+      :host { --cb-color: ${config.color}; --cb-text: ${config.textColor}; all: initial; }
+      * { box-sizing: border-box; font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; }
+      .cb-launcher {
+        position: fixed; bottom: 20px; ${config.position}: 20px; z-index: 2147483000;
+        width: 60px; height: 60px; border-radius: 50%; border: none; cursor: pointer;
+        background: var(--cb-color); color: var(--cb-text); font-size: 28px;
+        box-shadow: 0 4px 14px rgba(0,0,0,.25);
+      }
+      .cb-panel {
+        position: fixed; bottom: 92px; ${config.position}: 20px; z-index: 2147483000;
+        width: 360px; max-width: calc(100vw - 40px); height: 520px; max-height: calc(100vh - 120px);
+        display: none; flex-direction: column; overflow: hidden;
+        background: #fff; border-radius: 14px; box-shadow: 0 8px 30px rgba(0,0,0,.25);
+      }
+      .cb-panel.cb-open { display: flex; }
+      .cb-header {
+        display: flex; align-items: center; gap: 8px; padding: 12px 14px;
+        background: var(--cb-color); color: var(--cb-text);
+      }
+      .cb-header-text { flex: 1; line-height: 1.2; }
+      .cb-title { font-weight: 700; font-size: 15px; }
+      .cb-subtitle { font-size: 12px; opacity: .85; }
+      .cb-icon-btn {
+        background: none; border: none; color: var(--cb-text); cursor: pointer; font-size: 16px; padding: 4px;
+      }
+      .cb-messages { flex: 1; overflow-y: auto; padding: 12px; background: #f6f6f7; font-size: 14px; }
+      .cb-msg { max-width: 85%; margin: 6px 0; padding: 9px 12px; border-radius: 12px; line-height: 1.45; }
+      .cb-msg a { color: var(--cb-color); }
+      .cb-bot { background: #fff; color: #222; border: 1px solid #e4e4e7; border-bottom-left-radius: 4px; }
+      .cb-user {
+        margin-left: auto; background: var(--cb-color); color: var(--cb-text);
+        border-bottom-right-radius: 4px; white-space: pre-wrap;
+      }
+      .cb-title-line { font-weight: 700; margin-bottom: 4px; }
+      .cb-question { margin-top: 8px; font-weight: 600; }
+      .cb-yesno, .cb-options { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 8px; }
+      .cb-btn-yes, .cb-btn-no, .cb-pill {
+        border: 1px solid var(--cb-color); background: #fff; color: var(--cb-color);
+        border-radius: 999px; padding: 5px 12px; font-size: 13px; cursor: pointer;
+      }
+      .cb-btn-yes { background: var(--cb-color); color: var(--cb-text); }
+      .cb-yesno button:disabled, .cb-options button:disabled { opacity: .5; cursor: default; }
+      .cb-typing { color: #888; font-style: italic; }
+      .cb-feedback {
+        display: flex; align-items: center; gap: 4px; margin-top: 6px; font-size: 12px; color: #888;
+      }
+      .cb-thumb {
+        background: none; border: none; cursor: pointer; font-size: 14px; padding: 2px 4px; opacity: .6;
+      }
+      .cb-thumb:hover { opacity: 1; }
+      .cb-comment { display: flex; gap: 6px; width: 100%; }
+      .cb-comment .cb-input { padding: 5px 8px; font-size: 12px; }
+      .cb-comment .cb-send { padding: 0 10px; font-size: 12px; }
+      .cb-form { display: flex; gap: 6px; padding: 10px; border-top: 1px solid #e4e4e7; background: #fff; }
+      .cb-input {
+        flex: 1; border: 1px solid #d4d4d8; border-radius: 8px; padding: 8px 10px;
+        font-size: 14px; outline: none;
+      }
+      .cb-input:focus { border-color: var(--cb-color); }
+      .cb-send {
+        border: none; border-radius: 8px; padding: 0 14px; cursor: pointer;
+        background: var(--cb-color); color: var(--cb-text); font-weight: 600;
+      }
+    </style>
+    <button class="cb-launcher" type="button" aria-label="Open chat">💬</button>
+    <div class="cb-panel" role="dialog">
+      <div class="cb-header">
+        <div class="cb-header-text">
+          <div class="cb-title"></div>
+          <div class="cb-subtitle"></div>
+        </div>
+        <button class="cb-icon-btn cb-restart" type="button" title="Start over"
+                aria-label="Start over">↺</button>
+        <button class="cb-icon-btn cb-close" type="button" title="Close" aria-label="Close">✕</button>
+      </div>
+      <div class="cb-messages" aria-live="polite"></div>
+      <form class="cb-form">
+        <input class="cb-input" type="text" maxlength="500" autocomplete="off" />
+        <button class="cb-send" type="submit">Send</button>
+      </form>
+    </div>`;
+
+  const $ = (selector) => root.querySelector(selector);
+  const panel = $(".cb-panel");
+  const messages = $(".cb-messages");
+  const input = $(".cb-input");
+  panel.setAttribute("aria-label", config.title);
+  $(".cb-title").textContent = config.title;
+  $(".cb-subtitle").textContent = config.subtitle;
+  input.placeholder = config.placeholder;
+
+  // ------------------------------------------------------
+  // 🖥️ Rendering
+  // ------------------------------------------------------
+  const scrollDown = () => (messages.scrollTop = messages.scrollHeight);
+
+  function bubble(kind) {
+    const el = document.createElement("div");
+    el.className = `cb-msg cb-${kind}`;
+    messages.appendChild(el);
+    scrollDown();
+    return el;
+  }
+
+  function userMessage(message) {
+    bubble("user").textContent = message;
+  }
+
+  const section = (className, html) => {
+    const el = document.createElement("div");
+    if (className) el.className = className;
+    el.innerHTML = html;
+    return el;
+  };
+
+  // Buttons answer once; the whole row is disabled after a click
+  function buttonRow(className, buttons) {
+    const row = document.createElement("div");
+    row.className = className;
+    for (const { label, className: btnClass, send } of buttons) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = btnClass;
+      button.textContent = label;
+      button.addEventListener("click", () => {
+        if (state.busy) return;
+        row.querySelectorAll("button").forEach((b) => (b.disabled = true));
+        send();
+      });
+      row.appendChild(button);
+    }
+    return row;
+  }
+
+  // 👍 / 👎 under a reply – a thumbs down asks what was missing (optional)
+  function feedbackRow(turnId) {
+    const row = document.createElement("div");
+    row.className = "cb-feedback";
+    const rate = (rating, comment) =>
+      api("/api/feedback", { turnId, rating, ...(comment ? { comment } : {}) }).catch(() => {});
+    const thanks = () => (row.textContent = "Thanks for the feedback");
+
+    const thumbs = [
+      ["up", "👍", "Helpful"],
+      ["down", "👎", "Not helpful"],
+    ];
+    for (const [rating, icon, title] of thumbs) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "cb-thumb";
+      button.textContent = icon;
+      button.title = title;
+      button.setAttribute("aria-label", title);
+      button.addEventListener("click", () => {
+        rate(rating);
+        if (rating === "up") return thanks();
+        const form = document.createElement("form");
+        form.className = "cb-comment";
+        const field = document.createElement("input");
+        field.className = "cb-input";
+        field.maxLength = 500;
+        field.placeholder = "What were you looking for? (optional)";
+        const ok = document.createElement("button");
+        ok.type = "submit";
+        ok.className = "cb-send";
+        ok.textContent = "Send";
+        form.append(field, ok);
+        form.addEventListener("submit", (e) => {
+          e.preventDefault();
+          const comment = field.value.trim();
+          if (comment) rate("down", comment);
+          thanks();
+        });
+        row.replaceChildren(form);
+        field.focus();
+      });
+      row.appendChild(button);
+    }
+    return row;
+  }
+
+  // One reply payload → a bot bubble. `live` replies get working buttons,
+  // replies with a `turnId` can be rated.
+  function botReply(payload, live = true, turnId = null) {
+    if (payload === null || payload === undefined || payload === "") return;
+    const el = bubble("bot");
+
+    if (typeof payload === "string") {
+      el.innerHTML = payload;
+    } else if (payload.type === "yesno") {
+      if (payload.title) el.appendChild(section("cb-title-line", payload.title));
+      if (payload.intro) el.appendChild(section("", payload.intro));
+      if (payload.steps) el.appendChild(section("", payload.steps));
+      el.appendChild(section("cb-question", payload.question || ""));
+      const labels = payload.labels || { yes: "Yes", no: "No" };
+      const currentId = payload.currentId ?? state.currentId;
+      // "yes" / "no" are understood in every locale; the visitor sees their own label
+      const answer = (key) => ({
+        label: labels[key],
+        className: `cb-btn-${key}`,
+        send: () => send(key, { currentId, shown: labels[key] }),
+      });
+      if (live) el.appendChild(buttonRow("cb-yesno", [answer("yes"), answer("no")]));
+    } else if (payload.type === "options") {
+      if (payload.intro) el.appendChild(section("", payload.intro));
+      const pills = (payload.options || []).map(({ label }) => ({
+        label,
+        className: "cb-pill",
+        send: () => send(label),
+      }));
+      if (live) el.appendChild(buttonRow("cb-options", pills));
+    } else {
+      el.textContent = String(payload.reply || "");
+    }
+    if (turnId) el.appendChild(feedbackRow(turnId));
+    scrollDown();
+  }
+
+  // ------------------------------------------------------
+  // 🌐 API
+  // ------------------------------------------------------
+  async function api(path, body) {
+    const response = await fetch(`${config.api}${path}`, {
+      method: body ? "POST" : "GET",
+      credentials: "include",
+      headers: body ? { "Content-Type": "application/json" } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json().catch(() => ({}));
+    // Rate limits still carry a reply to show
+    if (!response.ok && !data.reply) throw new Error(data.error || `HTTP ${response.status}`);
+    return data;
+  }
+
+  async function send(message, { currentId = state.currentId, shown = message, reset = false } = {}) {
+    if (state.busy) return;
+    state.busy = true;
+    if (!reset) userMessage(shown);
+    const typing = bubble("bot");
+    typing.classList.add("cb-typing");
+    typing.textContent = "…";
+
+    try {
+      const body = { message, currentId, context: config.context, reset };
+      if (config.locale) body.locale = config.locale;
+      const data = await api("/api/chat", body);
+      typing.remove();
+      if (data.currentId !== undefined) state.currentId = data.currentId;
+      botReply(data.reply, true, data.turnId);
+      if (data.source === "handoff" || data.source === "agent") listenToTeam();
+    } catch (err) {
+      typing.remove();
+      botReply("⚠️ Sorry, I couldn’t reach the chat service. Please try again in a moment.");
+    } finally {
+      state.busy = false;
+      input.focus();
+    }
+  }
+
+  // Messages from a person on our team arrive without the visitor asking
+  function listenToTeam() {
+    if (state.events || !window.EventSource) return;
+    const events = new EventSource(`${config.api}/api/chat/events`, { withCredentials: true });
+    state.events = events;
+    events.addEventListener("message", (e) => {
+      const data = JSON.parse(e.data);
+      botReply(data.reply);
+      if (data.status === "closed") stopListening();
+    });
+    // 404 once the chat with the team is over (or was never started)
+    events.onerror = () => stopListening();
+  }
+
+  function stopListening() {
+    state.events?.close();
+    state.events = null;
+  }
+
+  // Earlier turns from this session (page navigation), else a fresh greeting
+  async function load() {
+    state.loaded = true;
+    try {
+      const history = await api("/api/history");
+      const turns = history.turns || [];
+      turns.forEach((turn, i) => {
+        userMessage(turn.message);
+        botReply(turn.reply, i === turns.length - 1, turn.id);
+      });
+      state.currentId = history.currentId ?? null;
+      if (turns.length) {
+        const last = turns[turns.length - 1];
+        if (last.source === "handoff" || last.source === "agent") listenToTeam();
+        return;
+      }
+    } catch (err) {
+      // No history – greet as usual
+    }
+    await send("", { reset: true });
+  }
+
+  // ------------------------------------------------------
+  // 🔘 Open / close
+  // ------------------------------------------------------
+  function setOpen(open) {
+    panel.classList.toggle("cb-open", open);
+    $(".cb-launcher").textContent = open ? "✕" : "💬";
+    try {
+      localStorage.setItem(OPEN_KEY, open ? "1" : "0");
+    } catch (err) {
+      // Private mode – state just isn't remembered
+    }
+    if (open && !state.loaded) load();
+    if (open) input.focus();
+  }
+
+  const remembered = (() => {
+    try {
+      return localStorage.getItem(OPEN_KEY);
+    } catch (err) {
+      return null;
+    }
+  })();
+
+  $(".cb-launcher").addEventListener("click", () => setOpen(!panel.classList.contains("cb-open")));
+  $(".cb-close").addEventListener("click", () => setOpen(false));
+  $(".cb-restart").addEventListener("click", () => {
+    if (state.busy) return;
+    stopListening();
+    messages.innerHTML = "";
+    state.currentId = null;
+    send("", { reset: true });
+  });
+  $(".cb-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const message = input.value.trim();
+    if (!message || state.busy) return;
+    input.value = "";
+    send(message);
+  });
+
+  const mount = () => {
+    document.body.appendChild(host);
+    setOpen(remembered === null ? config.open : remembered === "1");
+  };
+  if (document.body) mount();
+  else document.addEventListener("DOMContentLoaded", mount);
+})();
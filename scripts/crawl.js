@@ -0,0 +1,62 @@
+// =========================================
+// 🕷️ Tappy cache crawler
+// Usage:
+//   npm run crawl -- --sitemap https://staging.rstepos.com/sitemap.xml
+//   npm run crawl -- --sitemap ./sitemap.xml --origin http://localhost:8080
+// Options:
+//   --sitemap <url|file>   sitemap.xml to read (or SITEMAP_URL)
+//   --out <dir>            cache directory (default ./cache)
+//   --origin <url>         fetch pages from this origin instead of the sitemap's
+//   --render               use puppeteer for JS-rendered pages
+//   --concurrency <n>      parallel fetches (default 4)
+//   --dry-run              report the diff without writing anything
+//   --keep                 keep cache files for pages no longer in the sitemap
+// =========================================
+
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { crawlSite, formatDiff } from "../lib/crawler.js";
+import { DEFAULT_SITE_URL } from "../lib/passages.js";
+
+dotenv.config();
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    const value = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : true;
+    args[key] = value;
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const sitemap = args.sitemap || process.env.SITEMAP_URL;
+if (!sitemap || sitemap === true) {
+  console.error("❌ Missing --sitemap <url|file>");
+  process.exit(1);
+}
+
+const cacheDir = path.resolve(args.out && args.out !== true ? args.out : path.join(__dirname, "..", "cache"));
+console.log(`🕷️ Crawling ${sitemap} → ${cacheDir}${args.render ? " (puppeteer)" : ""}`);
+
+try {
+  const diff = await crawlSite({
+    sitemap,
+    cacheDir,
+    siteUrl: process.env.SITE_URL || DEFAULT_SITE_URL,
+    origin: typeof args.origin === "string" ? args.origin : null,
+    render: Boolean(args.render),
+    concurrency: Number(args.concurrency) || 4,
+    dryRun: Boolean(args["dry-run"]),
+    prune: !args.keep,
+  });
+  console.log(formatDiff(diff));
+  if (args["dry-run"]) console.log("ℹ️ Dry run – nothing written");
+  process.exit(diff.failed.length ? 2 : 0);
+} catch (err) {
+  console.error("❌ Crawl failed:", err.message);
+  process.exit(1);
+}
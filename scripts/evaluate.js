@@ -0,0 +1,135 @@
+// =========================================
+// 🧪 Score FAQ matching against evaluation.json
+// Usage:
+//   npm run eval                                  → hold-out run, compared with the last one
+//   npm run eval -- --replay                      → FAQ questions against the full index (fast)
+//   npm run eval -- --threshold autoSelectMargin=1.3 --threshold minScore=2.5
+//   npm run eval -- --tenant acme                 → that tenant's FAQ files
+//   npm run eval -- --import-unmatched            → add logged misses to evaluation.json, unlabelled
+//   npm run eval -- --json | --no-save
+// Runs are appended to evaluation_runs.jsonl. Exits 1 when the set has errors.
+// =========================================
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadKnowledgeBase, DEFAULT_SOURCES } from "../lib/knowledge.js";
+import { loadRankingConfig } from "../lib/ranking.js";
+import { loadTenants } from "../lib/tenants.js";
+import { loadEvents } from "../lib/analytics.js";
+import { createTranscriptLog } from "../lib/transcripts.js";
+import { writeJSONAtomic } from "../lib/fileStore.js";
+import {
+  loadEvaluationSet,
+  evaluate,
+  parseThresholds,
+  unlabelledQueries,
+  createEvaluationLog,
+  compareRuns,
+} from "../lib/evaluation.js";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const setFile = path.join(root, "evaluation.json");
+
+const argv = process.argv.slice(2);
+const flag = (name) => argv.includes(name);
+const values = (name) => argv.flatMap((a, i) => (a === name && argv[i + 1] ? [argv[i + 1]] : []));
+
+const set = loadEvaluationSet(setFile);
+
+// ------------------------------------------------------
+// 📥 --import-unmatched
+// ------------------------------------------------------
+if (flag("--import-unmatched")) {
+  const events = loadEvents({
+    transcriptLog: createTranscriptLog(path.join(root, "transcripts.jsonl")),
+    supportLogFile: path.join(root, "support_log.jsonl"),
+    unmatchedFile: path.join(root, "unmatched_faqs.log"),
+  });
+  const found = unlabelledQueries(events, set);
+  const raw = fs.existsSync(setFile) ? JSON.parse(fs.readFileSync(setFile, "utf8")) : { faqQuestions: true };
+  raw.cases = [...(raw.cases || []), ...found.map(({ query }) => ({ query, source: "unmatched" }))];
+  writeJSONAtomic(setFile, raw);
+  console.log(`📥 Added ${found.length} unlabelled queries to evaluation.json – give each an "expect"`);
+  found.forEach((q) => console.log(`   ${String(q.count).padStart(3)}×  ${q.query}`));
+  process.exit(0);
+}
+
+// ------------------------------------------------------
+// 🏃 Run
+// ------------------------------------------------------
+const parsed = parseThresholds(
+  Object.fromEntries(values("--threshold").map((t) => t.split("=").map((p) => p.trim())))
+);
+if (parsed.error) {
+  console.error(`❌ ${parsed.error}`);
+  process.exit(1);
+}
+
+let sources = DEFAULT_SOURCES;
+const [tenantId] = values("--tenant");
+if (tenantId) {
+  const tenant = loadTenants(path.join(root, "tenants.json")).byId.get(tenantId);
+  if (!tenant) {
+    console.error(`❌ Unknown tenant ${tenantId}`);
+    process.exit(1);
+  }
+  sources = tenant.faqs;
+}
+
+const kb = loadKnowledgeBase(root, sources);
+const report = await evaluate({
+  kb,
+  set,
+  config: loadRankingConfig(path.join(root, "ranking.json")),
+  mode: flag("--replay") ? "replay" : "holdout",
+  thresholds: parsed.thresholds,
+});
+const errors = [...set.errors, ...kb.errors, ...report.errors];
+
+const runs = createEvaluationLog(path.join(root, "evaluation_runs.jsonl"));
+const change = compareRuns(runs.previous(report), report);
+if (!flag("--no-save")) runs.append(report);
+
+if (flag("--json")) {
+  console.log(JSON.stringify({ ...report, change }, null, 2));
+  process.exit(errors.length ? 1 : 0);
+}
+
+const pct = (v) => (v === null ? "   –  " : `${(v * 100).toFixed(1).padStart(5)}%`);
+const diff = (key) => {
+  const d = change?.delta[key];
+  if (d === null || d === undefined || d === 0) return "";
+  return `  (${d > 0 ? "+" : ""}${(d * 100).toFixed(1)})`;
+};
+const { counts, metrics } = report;
+
+errors.forEach((e) => console.error(`❌ ${e}`));
+console.log(
+  `🧪 ${report.mode}: ${counts.cases} cases (${counts.answerable} answerable, ` +
+    `${counts.unanswerable} should not match, ${report.unlabelled} unlabelled) in ${report.ms}ms`
+);
+const { fingerprint } = report;
+console.log(`   fingerprint cases ${fingerprint.cases}  faqs ${fingerprint.faqs}  config ${fingerprint.config}`);
+console.log(`   thresholds ${Object.entries(report.thresholds).map(([k, v]) => `${k}=${v}`).join(" ")}`);
+const metric = (label, key, n, total) =>
+  console.log(`   ${label.padEnd(15)} ${pct(metrics[key])}  ${n}/${total}${diff(key)}`);
+metric("top-1", "top1", counts.top1, counts.answerable);
+metric("top-3", "top3", counts.top3, counts.answerable);
+metric("no match", "noMatch", counts.noMatch, counts.answerable);
+metric("wrong auto", "wrongAuto", counts.wrongAuto, counts.autoSelected);
+metric("correct none", "correctNoMatch", counts.correctNoMatch, counts.unanswerable);
+console.log(change ? `   compared with the run at ${change.since}` : "   (no earlier run over these cases)");
+
+if (report.confusion.length) {
+  console.log("\n🔀 Most confused FAQs");
+  report.confusion.slice(0, 15).forEach((r) => {
+    const instead = r.instead.map((i) => `${i.faqId}×${i.count}`).join(", ");
+    console.log(
+      `   ${String(r.faqId).padEnd(40)} ${r.top1}/${r.cases} first` +
+        (r.noMatch ? `, ${r.noMatch} no match` : "") +
+        (instead ? ` → ${instead}` : "")
+    );
+  });
+}
+process.exit(errors.length ? 1 : 0);
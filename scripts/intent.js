@@ -0,0 +1,46 @@
+// =========================================
+// 🎯 Test a phrase against intents.json
+// Usage:
+//   npm run intent -- "can I get a quote for 3 tills"
+//   npm run intent -- --config ./intents.json "hello"
+// Prints every intent that fires with its confidence, highest priority
+// first, plus config errors. Exits 1 when the config has errors.
+// =========================================
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadIntentRouter, detectIntents } from "../lib/intents.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const argv = process.argv.slice(2);
+let config = path.join(__dirname, "..", "intents.json");
+const configAt = argv.indexOf("--config");
+if (configAt !== -1) {
+  config = path.resolve(argv[configAt + 1] || "");
+  argv.splice(configAt, 2);
+}
+const phrase = argv.join(" ").trim();
+
+const router = loadIntentRouter(config);
+router.errors.forEach((e) => console.error(`❌ ${e}`));
+
+if (!phrase) {
+  console.error('Usage: npm run intent -- "phrase to test"');
+  process.exit(1);
+}
+
+const found = detectIntents(router, phrase);
+console.log(`🎯 "${phrase}"`);
+if (!found.length) console.log("   (no intent – FAQ search only)");
+found.forEach((i, n) => {
+  const action = Object.entries(i.action)
+    .filter(([k]) => k !== "text")
+    .map(([k, v]) => `${k}=${v}`)
+    .join(" ");
+  console.log(
+    `${n === 0 ? "→" : " "}  ${i.name.padEnd(16)} ${i.confidence.toFixed(2)}  priority ${String(i.priority).padStart(3)}  ` +
+      `${i.via}: ${i.matched}\n      ${action}`
+  );
+});
+process.exit(router.errors.length ? 1 : 0);
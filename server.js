@@ -10,6 +10,101 @@ import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
 import dotenv from "dotenv";
+import {
+  CATEGORIES,
+  loadKnowledgeBase,
+  findExactEntry,
+  localizeEntry,
+  knowledgeBaseProblems,
+} from "./lib/knowledge.js";
+import { buildSearchIndex, loadRankingConfig, searchIndex } from "./lib/ranking.js";
+import {
+  DEFAULT_SITE_URL,
+  loadPages,
+  buildPassageIndex,
+  searchPassages,
+  passageAnswer,
+} from "./lib/passages.js";
+import { createLLMProvider, buildContext, buildMessages, formatAnswerText, OFF_TOPIC } from "./lib/llm.js";
+import { createAnswerCache } from "./lib/answerCache.js";
+import { createLeadStore } from "./lib/leads.js";
+import {
+  offerQuote,
+  startLeadFlow,
+  handleQuoteDecision,
+  handleLeadMessage,
+} from "./lib/leadFlow.js";
+import { createLeadAdminRouter } from "./lib/routes/adminLeads.js";
+import { loadCatalogue } from "./lib/catalogue.js";
+import { wantsQuote, startQuoteBuilder, handleQuoteBuilder } from "./lib/quoteFlow.js";
+import {
+  createSessionStore,
+  createSessionLocks,
+  newSessionId,
+  isValidSessionId,
+} from "./lib/sessionStore.js";
+import { requireAdmin, requireMetricsToken } from "./lib/adminAuth.js";
+import { createFaqAdminRouter } from "./lib/routes/adminFaqs.js";
+import { createTranscriptLog, recordTurn } from "./lib/transcripts.js";
+import { createTranscriptAdminRouter } from "./lib/routes/adminTranscripts.js";
+import { createAnalyticsAdminRouter } from "./lib/routes/adminAnalytics.js";
+import { createEvaluationAdminRouter } from "./lib/routes/adminEvaluation.js";
+import { createFeedbackStore, RATINGS, MAX_COMMENT } from "./lib/feedback.js";
+import { createFeedbackAdminRouter } from "./lib/routes/adminFeedback.js";
+import { REPLY_FORMATS, reply, text, richText, link, options, renderReply } from "./lib/replies.js";
+import { enterNode, handleFlowMessage } from "./lib/flow.js";
+import { loadIntentRouter, detectIntents, findIntent, moduleReply } from "./lib/intents.js";
+import {
+  topicEntries,
+  activeTopic,
+  mentionTopic,
+  showTopicEntry,
+  idleTopic,
+  forgetTopic,
+  resolveFollowUp,
+  topicSubject,
+} from "./lib/topics.js";
+import {
+  DEFAULT_LOCALE,
+  loadLocales,
+  matchLocale,
+  resolveLocale,
+  localeStrings,
+  detectLocale,
+  fill,
+} from "./lib/i18n.js";
+import { loadLimits, createRateLimiters, checkMessage } from "./lib/rateLimits.js";
+import { loadTenants, tenantForOrigin, tenantGreeting } from "./lib/tenants.js";
+import { openEventStream } from "./lib/sse.js";
+import {
+  HANDOFF_AFTER_MISSES,
+  loadHandoffConfig,
+  isWithinHours,
+  createHandoffQueue,
+  startHandoff,
+  offerHandoff,
+  handleHandoffMessage,
+  unseenMessages,
+} from "./lib/handoff.js";
+import { createHandoffAdminRouter } from "./lib/routes/adminHandoff.js";
+import {
+  REQUEST_ID_HEADER,
+  createLogger,
+  installConsole,
+  newRequestId,
+  bindRequestContext,
+  setLogSession,
+  sessionRef,
+} from "./lib/logger.js";
+import { createMetrics } from "./lib/metrics.js";
+import {
+  loadPrivacyConfig,
+  createIpAnonymiser,
+  createRedactor,
+  createPrivacyService,
+  schedulePurge,
+} from "./lib/privacy.js";
+import { createPrivacyAdminRouter } from "./lib/routes/adminPrivacy.js";
 
 dotenv.config();
 const PORT = process.env.PORT || 3001;
@@ -20,35 +115,101 @@ const app = express();
 // ------------------------------------------------------
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const faqSalesPath = path.join(__dirname, "faqs_sales.json");
 const cacheDir = path.join(__dirname, "cache");
 if (!fs.existsSync(cacheDir)) fs.mkdirSync(cacheDir);
 
+// 🔏 Retention, IP anonymisation and redaction – privacy.json, see lib/privacy.js
+const privacy = loadPrivacyConfig(path.join(__dirname, "privacy.json"));
+const redact = createRedactor(privacy.redact);
+
+// 🪵 One JSON line per log (LOG_FORMAT=pretty for the plain ones) – see lib/logger.js
+const log = createLogger({ format: process.env.LOG_FORMAT, level: process.env.LOG_LEVEL, redact });
+installConsole(log);
+privacy.errors.forEach((e) => console.warn(`⚠️ privacy.json: ${e}`));
+const anonymiseIp = createIpAnonymiser(privacy.ip);
+
+// ------------------------------------------------------
+// 📈 Metrics – GET /metrics (gauges are registered next to the route)
+// ------------------------------------------------------
+const metrics = createMetrics();
+const httpRequests = metrics.counter("tappy_http_requests_total", "HTTP requests answered", [
+  "method",
+  "route",
+  "status",
+]);
+const httpLatency = metrics.histogram("tappy_http_request_duration_seconds", "Time to answer a request", [
+  "method",
+  "route",
+]);
+const chatReplies = metrics.counter("tappy_chat_replies_total", "Chat replies by source and match", [
+  "source",
+  "match",
+]);
+
+// ------------------------------------------------------
+// 🔖 Request ids, per-request timing and the access log line
+// ------------------------------------------------------
+app.use((req, res, next) => {
+  req.id = newRequestId(req.get(REQUEST_ID_HEADER));
+  res.setHeader(REQUEST_ID_HEADER, req.id);
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // The route pattern, not the URL, so ids in paths don't become new series
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpLatency.observe({ method: req.method, route }, seconds);
+    const level = route === "/metrics" ? "debug" : res.statusCode >= 500 ? "error" : "info";
+    log.write(level, "request", {
+      requestId: req.id,
+      session: sessionRef(res.locals.sessionId || req.cookies?.sessionId),
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      ms: Number((seconds * 1000).toFixed(1)),
+      tenant: req.tenant?.id,
+      ...res.locals.outcome,
+    });
+  });
+  next();
+});
+
 // ------------------------------------------------------
-// 🌐 Render-safe CORS (Preflight Fix for Render)
+// 🏢 Tenants – tenants.json maps each site's origin to its FAQ files,
+// branding, links and features
 // ------------------------------------------------------
-app.use(express.json({ limit: "1mb" }));
+const tenants = loadTenants(path.join(__dirname, "tenants.json"));
+tenants.errors.forEach((e) => console.warn(`⚠️ tenants.json: ${e}`));
+console.log(`✅ Loaded ${tenants.tenants.length} tenants (default: ${tenants.fallback.id})`);
+
+// Whole FAQ files go through the admin API; the public API only needs small bodies
+const limits = loadLimits();
+app.use("/api/admin", express.json({ limit: "1mb" }));
+app.use(express.json({ limit: limits.bodyLimit }));
 app.use(cookieParser());
+app.use(bindRequestContext());
 app.set("trust proxy", 1);
 
-const allowedOrigins = [
-  "https://www.rstepos.com",
-  "https://staging.rstepos.com",
-  "https://tappy-chat.onrender.com",
-  "http://localhost:8080",
-  "http://127.0.0.1:8080",
-  "http://localhost:5500",
-  "http://127.0.0.1:5500",
-];
+// ------------------------------------------------------
+// 🌐 Render-safe CORS (Preflight Fix for Render) – tenant origins only
+// ------------------------------------------------------
+// 🚫 Origins no tenant lists are refused, preflights included
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  req.tenant = tenantForOrigin(tenants, origin);
+  if (!req.tenant) {
+    console.warn(`🚫 Refused origin ${origin} (${req.method} ${req.path})`);
+    return res.status(403).json({ error: "Origin not allowed" });
+  }
+  next();
+});
 
 // ✅ Handle OPTIONS early to stop Render returning 502
 app.use((req, res, next) => {
   const origin = req.headers.origin;
   if (req.method === "OPTIONS") {
-    res.setHeader(
-      "Access-Control-Allow-Origin",
-      allowedOrigins.includes(origin) ? origin : "*"
-    );
+    if (origin) res.setHeader("Access-Control-Allow-Origin", origin);
     res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
     res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
     res.setHeader("Access-Control-Allow-Credentials", "true");
@@ -61,10 +222,7 @@ app.use((req, res, next) => {
 // ✅ Standard CORS middleware (secondary layer)
 app.use(
   cors({
-    origin: (origin, cb) => {
-      if (!origin || allowedOrigins.includes(origin)) return cb(null, true);
-      return cb(null, true); // fallback wildcard for Render
-    },
+    origin: (origin, cb) => cb(null, Boolean(tenantForOrigin(tenants, origin))),
     credentials: true,
     methods: ["GET", "POST", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
@@ -72,181 +230,973 @@ app.use(
 );
 
 // ------------------------------------------------------
-// 🧠 Load FAQs
+// 🌍 Locales – canned replies in locales/*.json
 // ------------------------------------------------------
-let faqSales = [];
-try {
-  if (fs.existsSync(faqSalesPath)) {
-    const raw = JSON.parse(fs.readFileSync(faqSalesPath, "utf8"));
-    faqSales = raw.filter((f) => f && f.title).map((f) => ({ ...f, id: String(f.id) }));
-    console.log(`✅ Loaded ${faqSales.length} Sales FAQ entries`);
-  } else console.warn("⚠️ faqs_sales.json not found");
-} catch (err) {
-  console.error("❌ Failed to load faqs_sales.json:", err);
+const locales = loadLocales(path.join(__dirname, "locales"));
+locales.errors.forEach((e) => console.warn(`⚠️ locales: ${e}`));
+console.log(`✅ Loaded ${locales.codes.length} locales (${locales.codes.join(", ")})`);
+
+const rankingConfig = loadRankingConfig(path.join(__dirname, "ranking.json"));
+
+// 🎯 Intent routing – intents.json (topics → FAQ ids for the topic boost)
+const intentsFile = path.join(__dirname, "intents.json");
+let intentRouter;
+const faqSets = new Map();
+function loadIntents() {
+  intentRouter = loadIntentRouter(intentsFile);
+  intentRouter.errors.forEach((e) => console.warn(`⚠️ intents.json: ${e}`));
+  for (const set of faqSets.values()) set.topicIds = topicEntries(set.kb.entries, intentRouter.topics);
+  console.log(
+    `✅ Loaded ${intentRouter.intents.length} intents, ${Object.keys(intentRouter.topics).length} topics`
+  );
 }
+loadIntents();
 
 // ------------------------------------------------------
-// 📘 Render FAQ
+// 🧠 FAQ sets – one knowledge base per distinct list of FAQ files, shared by
+// the tenants that use it: { key, sources, kb, faqIndex, localeIndexes, topicIds }
 // ------------------------------------------------------
-function showFAQ(entry) {
-  const steps = Array.isArray(entry.steps)
-    ? entry.steps.map((s, i) => `${i + 1}. ${s}`).join("<br>")
-    : entry.steps || "";
+const faqSetKey = (sources) => sources.map((s) => `${s.category}:${s.file}`).join(",");
+const faqSetFor = (tenant) => faqSets.get(faqSetKey(tenant.faqs));
+
+function reportKnowledgeBase({ key, kb }) {
+  if (kb.errors.length) {
+    console.warn(`⚠️ ${kb.errors.length} FAQ schema problem(s):`);
+    kb.errors.forEach((e) =>
+      console.warn(`   • ${e.source}${e.index !== undefined ? ` #${e.index}` : ""}: ${e.message}`)
+    );
+  }
+  const users = tenants.tenants.filter((t) => faqSetKey(t.faqs) === key).map((t) => t.id);
+  console.log(
+    `✅ Loaded ${kb.entries.length} FAQ entries (` +
+      CATEGORIES.map((c) => `${c}: ${kb.counts[c] || 0}`).join(", ") +
+      `) for ${users.join(", ")}`
+  );
+}
+
+// Search indexes (rebuilt whenever the knowledge base changes) – one for
+// English plus one per locale over the entries translated into it
+function indexFaqSet(set) {
+  const { kb } = set;
+  set.faqIndex = buildSearchIndex(kb.entries, rankingConfig);
+  set.localeIndexes = new Map();
+  for (const code of locales.codes) {
+    const translated = kb.entries.filter((e) => e.translations?.[code]);
+    if (code === DEFAULT_LOCALE || !translated.length) continue;
+    const localized = translated.map((e) => localizeEntry(e, code));
+    set.localeIndexes.set(code, buildSearchIndex(localized, rankingConfig));
+  }
+  set.topicIds = topicEntries(kb.entries, intentRouter.topics);
+}
+
+for (const tenant of tenants.tenants) {
+  const key = faqSetKey(tenant.faqs);
+  if (faqSets.has(key)) continue;
+  const set = { key, sources: tenant.faqs, kb: loadKnowledgeBase(__dirname, tenant.faqs) };
+  reportKnowledgeBase(set);
+  indexFaqSet(set);
+  faqSets.set(key, set);
+}
+const mainFaqs = faqSetFor(tenants.fallback);
+
+// The visitor's language first, English when that finds nothing
+function searchFaqs(set, query, locale, options) {
+  const local = set.localeIndexes.get(locale);
+  const found = local ? searchIndex(local, query, options) : null;
+  return found && found.decision !== "none" ? found : searchIndex(set.faqIndex, query, options);
+}
+
+// Admin saves swap a whole knowledge base in one assignment – other sets
+// reading any of the same files reload them
+function setKnowledgeBase(set, next) {
+  set.kb = next;
+  indexFaqSet(set);
+  const files = new Set(set.sources.map((src) => src.file));
+  for (const other of faqSets.values()) {
+    if (other === set || !other.sources.some((src) => files.has(src.file))) continue;
+    other.kb = loadKnowledgeBase(__dirname, other.sources);
+    indexFaqSet(other);
+  }
+}
+
+// 📄 Scraped site pages – used when no FAQ matches
+const siteUrl = process.env.SITE_URL || DEFAULT_SITE_URL;
+let passageIndex = null;
+
+function loadPassages() {
+  passageIndex = buildPassageIndex(loadPages(cacheDir, { siteUrl }), rankingConfig, {
+    maxWords: rankingConfig.passages.maxWords,
+  });
+  console.log(
+    `✅ Indexed ${passageIndex.passages.length} passages from ${passageIndex.pages.length} cached pages`
+  );
+}
+loadPassages();
+
+// ------------------------------------------------------
+// 🤖 LLM fallback + answer cache
+// ------------------------------------------------------
+const answerCache = createAnswerCache({
+  file: path.join(__dirname, "support_cache.json"),
+  ttlMs: (Number(process.env.LLM_CACHE_TTL_HOURS) || 168) * 60 * 60 * 1000,
+  redact,
+  defaultTenant: tenants.fallback.id,
+});
+const llm = createLLMProvider();
+console.log(
+  llm ? `✅ LLM fallback: ${llm.name} (${llm.model})` : "ℹ️ LLM fallback disabled (LLM_PROVIDER=none)"
+);
+
+const sourceTag = (label) => text(label, { style: "note" });
+
+// Generated answers only for the tenant they were written for, and only while
+// it has the LLM on – the hand-cached ones are the default tenant's
+function cachedAnswer(message, lang, tenant) {
+  const cached = answerCache.get(message, { tenant: tenant.id });
+  if (!cached || (!cached.pinned && !tenant.features.llm)) return null;
+  console.log(`🗃️ Cache hit: "${cached.question}"`);
+  return {
+    reply: reply(richText(formatAnswerText(cached.answer)), sourceTag(lang.t("savedAnswer"))),
+    source: "cache",
+  };
+}
+
+// Grounded on the closest FAQs and page passages. Returns null when
+// there is nothing to ground an answer on or the model is unavailable.
+// `onToken` receives the answer as it is written (streaming chat).
+async function answerFallback(message, { tenant, context, lang, faqSet, pages, onToken }) {
+  if (!llm) return null;
 
-  if (entry.next?.question) {
+  const faqs = searchIndex(faqSet.faqIndex, message, { context, minScore: 1.5 }).results.slice(0, 3);
+  const passages = pages ? searchPassages(passageIndex, message, { minScore: 1.5, limit: 3 }) : [];
+  if (!faqs.length && !passages.length) return null;
+
+  // Pieces are held back while they could still be the OFF_TOPIC marker
+  let pending = "";
+  let passing = false;
+  const forward = (token) => {
+    if (passing) return onToken(token);
+    pending += token;
+    if (OFF_TOPIC.startsWith(pending.trim())) return;
+    passing = true;
+    onToken(pending);
+  };
+
+  try {
+    const answer = await llm.complete(
+      buildMessages(
+        message,
+        buildContext({ faqs: faqs.map((r) => r.entry), passages: passages.map((h) => h.passage) }),
+        null,
+        lang.locale === DEFAULT_LOCALE ? null : lang.name
+      ),
+      { onToken: onToken && forward }
+    );
+    if (!answer.trim() || answer.includes(OFF_TOPIC)) {
+      return {
+        reply: reply(text(lang.t("offTopic"))),
+        source: "llm",
+      };
+    }
+    answerCache.set(message, answer, { tenant, source: "llm", provider: llm.name, model: llm.model });
+    console.log(`🤖 LLM answer (${llm.name}) for: "${message}"`);
     return {
-      type: "yesno",
-      title: entry.title,
-      intro: entry.intro || "",
-      steps,
-      question: entry.next.question,
-      currentId: entry.id,
+      reply: reply(richText(formatAnswerText(answer)), sourceTag(lang.t("aiAnswer"))),
+      source: "llm",
     };
+  } catch (err) {
+    console.error("❌ LLM fallback failed:", err.message);
+    return null;
   }
-
-  return `📘 <strong>${entry.title}</strong><br>${entry.intro || ""}<br><br>${steps}<br><br>👉 <a href="${entry.link || "#"}">Learn more</a>`;
 }
 
 // ------------------------------------------------------
 // 💬 Chat Handler (client-context + ranked search)
 // ------------------------------------------------------
-const sessions = {};
+const { kind: sessionStoreKind, ttlMs: sessionTtlMs, store: sessionStore } =
+  await createSessionStore({ baseDir: __dirname });
+console.log(`✅ Session store: ${sessionStoreKind} (${sessionTtlMs / 60000} min sliding expiry)`);
+
+const leadStore = createLeadStore(path.join(__dirname, "sales_leads.jsonl"));
+// 🧾 Products and prices for the quote builder – catalogue.json
+const catalogue = loadCatalogue(path.join(__dirname, "catalogue.json"));
+catalogue.errors.forEach((e) => console.warn(`⚠️ catalogue.json: ${e}`));
+console.log(`✅ Catalogue: ${catalogue.products.length} products, ${catalogue.addOns.length} add-ons`);
+const transcriptLog = createTranscriptLog(path.join(__dirname, "transcripts.jsonl"));
+const feedbackStore = createFeedbackStore(path.join(__dirname, "feedback.jsonl"), rankingConfig.feedback);
+
+// 🙋 Handoff to our team – support hours in handoff.json, tickets in handoffs.json
+const handoffConfig = loadHandoffConfig(path.join(__dirname, "handoff.json"));
+handoffConfig.errors.forEach((e) => console.warn(`⚠️ handoff.json: ${e}`));
+const handoffQueue = createHandoffQueue(path.join(__dirname, "handoffs.json"));
+const teamStatus = isWithinHours(handoffConfig) ? "online" : "offline";
+console.log(`✅ Handoff: ${handoffQueue.waitingCount()} waiting, team ${teamStatus}`);
 
-async function handleSalesFAQ(message, sessionId, currentIdFromClient) {
-  if (!sessions[sessionId]) sessions[sessionId] = {};
-  const s = sessions[sessionId];
+// 🧹 Retention purge and data subject requests over all of the above
+const privacyService = createPrivacyService({
+  config: privacy,
+  stores: {
+    leads: leadStore,
+    transcripts: transcriptLog,
+    feedback: feedbackStore,
+    handoffs: handoffQueue,
+    sessions: sessionStore,
+    answerCache,
+  },
+  files: {
+    supportLog: path.join(__dirname, "support_log.jsonl"),
+    unmatchedLog: path.join(__dirname, "unmatched_faqs.log"),
+  },
+  anonymiseIp,
+});
+schedulePurge(privacyService);
+
+async function handleChat({
+  message,
+  session: s,
+  currentId: currentIdFromClient,
+  context = "general",
+  locale = DEFAULT_LOCALE,
+  tenant = tenants.fallback,
+  ip,
+  progress = () => {},
+  onToken,
+}) {
   if (currentIdFromClient) s.currentId = String(currentIdFromClient);
+  const brand = { brand: tenant.name, botName: tenant.botName };
+  const lang = localeStrings(locales, locale, brand);
+  const { features, links } = tenant;
+  const faqSet = faqSetFor(tenant);
+  const { kb, topicIds } = faqSet;
 
   const lower = (message || "").toLowerCase().trim();
+  const handoff = {
+    queue: handoffQueue,
+    config: handoffConfig,
+    lang,
+    details: { tenant: tenant.id, locale: lang.locale, reason: "asked" },
+  };
+  // Unanswered turns in a row – reset by anything else
+  const missed = s.misses || 0;
+  s.misses = 0;
 
-  // ✅ 1. Handle Yes/No branching
-  if (s.currentId) {
-    const currentFAQ = faqSales.find((f) => f.id === String(s.currentId));
-    if (currentFAQ?.next?.options) {
-      let nextTarget = null;
-      if (lower.includes("yes")) nextTarget = currentFAQ.next.options.yes;
-      else if (lower.includes("no")) nextTarget = currentFAQ.next.options.no;
-
-      if (nextTarget) {
-        const nextFAQ = faqSales.find((f) => String(f.id) === String(nextTarget));
-        if (nextFAQ) {
-          s.currentId = nextFAQ.id;
-          console.log(`✅ Branch success: ${lower.toUpperCase()} → ${nextFAQ.title}`);
-          return { reply: showFAQ(nextFAQ), currentId: nextFAQ.id };
-        }
-        if (typeof nextTarget === "string" && nextTarget.includes(".html")) {
-          return {
-            reply: `👉 <a href="${nextTarget}" target="_blank">View related page</a>`,
-            currentId: null,
-          };
-        }
-      }
+  // ✅ 0a. Chat with our team in progress (live agent, offline form, "chat with us?")
+  const handoffReply = features.handoff ? handleHandoffMessage(s, message, handoff) : null;
+  if (handoffReply) {
+    s.currentId = null;
+    return { ...handoffReply, currentId: null, match: "handoff" };
+  }
+
+  // ✅ 0b. Quote builder, then lead capture (quote / demo) in progress
+  const quotes = features.leads && features.quotes && catalogue.products.length ? catalogue : null;
+  const quoteReply = quotes ? handleQuoteBuilder(s, message, quotes, lang) : null;
+  if (quoteReply) {
+    s.currentId = null;
+    return { reply: quoteReply, currentId: null, source: "lead", match: "quote" };
+  }
+  const submitLead = (data, kind, quote) => {
+    const { lead, duplicate } = leadStore.upsert({
+      ...data,
+      kind,
+      ...(quote ? { quote } : {}),
+      source: "chat",
+      tenant: tenant.id,
+      conversationId: s.conversationId,
+      ip: anonymiseIp(ip),
+    });
+    console.log(`💼 Lead ${duplicate ? "updated" : "captured"}: ${lead.email}`);
+    return { duplicate };
+  };
+  const startBuilder = quotes ? (session) => startQuoteBuilder(session, quotes, lang) : null;
+  const leadReply =
+    handleLeadMessage(s, message, submitLead) ?? handleQuoteDecision(s, message, startBuilder);
+  if (leadReply) {
+    s.currentId = null;
+    return { reply: leadReply, currentId: null, source: "lead", match: "lead" };
+  }
+
+  // ✅ 1. Decision-tree flow in progress (choices, captures, back / start over / skip)
+  const flowReply = handleFlowMessage(s, message, kb, lang, links);
+  if (flowReply) {
+    if (flowReply.currentId) showTopicEntry(s, kb.byId.get(flowReply.currentId), topicIds);
+    // A "talk to someone" ending joins the queue rather than just linking to the contact page
+    if (flowReply.handoff && features.handoff) {
+      const { faqId, vars } = flowReply.handoff;
+      const details = { ...handoff.details, reason: "flow", faqId, vars };
+      return { ...flowReply, reply: startHandoff(s, { ...handoff, details }), source: "handoff" };
     }
+    return { ...flowReply, source: "faq" };
   }
 
-  // ✅ 2. Exact title match
-  const normalise = (t) => (t || "").toLowerCase().replace(/[^\w\s]/g, "").trim();
-  const exact = faqSales.find((f) => normalise(f.title) === normalise(lower));
+  // Every other turn ages the remembered topic – naming it or reading an
+  // FAQ on it below refreshes it
+  idleTopic(s);
+  const memory = activeTopic(s);
+
+  // ✅ 2. Intents (intents.json) – greetings and quote/demo requests answer straight away
+  const intents = features.intents ? detectIntents(intentRouter, message) : [];
+  const greet = intents[0]?.action.type === "greet" ? intents[0] : null;
+  if (greet || lang.isGreeting(message)) {
+    forgetTopic(s);
+    const own = tenantGreeting(tenant, lang.locale);
+    const greeting =
+      own || (greet && lang.locale === DEFAULT_LOCALE ? greet.action.text : lang.t("greeting"));
+    return {
+      reply: reply(text(fill(greeting, brand))),
+      currentId: null,
+      source: "intent",
+      match: "intent",
+      intent: greet?.name || "greeting",
+    };
+  }
+  if (findIntent(intents, "handoff")) {
+    s.currentId = null;
+    return {
+      reply: features.handoff
+        ? startHandoff(s, handoff)
+        : reply(text(lang.t("flow.handoff")), link(links.contact, lang.t("flow.contactUs"))),
+      currentId: null,
+      source: "handoff",
+      match: "intent",
+      intent: findIntent(intents, "handoff").name,
+    };
+  }
+  if (features.leads && findIntent(intents, "lead")) {
+    s.currentId = null;
+    if (quotes && wantsQuote(lower))
+      return { reply: startQuoteBuilder(s, quotes, lang), currentId: null, source: "lead", match: "quote" };
+    return { reply: startLeadFlow(s, lower), currentId: null, source: "lead", match: "lead" };
+  }
+  const pricing = features.leads ? findIntent(intents, "quote") : null;
+  const product = findIntent(intents, "module");
+  const routed = findIntent(intents, "context");
+  const topic = product?.action.topic || routed?.action.topic;
+  if (topic) mentionTopic(s, topic);
+
+  // ✅ 2b. Exact title / question match
+  const exact = findExactEntry(kb, lower);
   if (exact) {
-    s.currentId = exact.id;
-    return { reply: showFAQ(exact), currentId: exact.id };
-  }
-
-  // ✅ 3. Weighted search
-  const scored = faqSales
-    .map((f) => {
-      const text = [f.title, f.intro, ...(Array.isArray(f.steps) ? f.steps : [])]
-        .join(" ")
-        .toLowerCase();
-      let score = 0;
-      if (f.title.toLowerCase() === lower) score += 10;
-      if (text.includes(lower)) score += 6;
-      const words = lower.split(/\s+/).filter((w) => w.length > 2);
-      words.forEach((w) => {
-        const count = (text.match(new RegExp(`\\b${w}\\b`, "g")) || []).length;
-        score += count * 2;
-      });
-      return { f, score };
-    })
-    .filter((r) => r.score >= 6)
-    .sort((a, b) => b.score - a.score);
+    showTopicEntry(s, exact, topicIds);
+    return {
+      reply: enterNode(s, exact, lang),
+      currentId: exact.id,
+      source: "faq",
+      faqId: exact.id,
+      match: "exact",
+    };
+  }
+
+  // ✅ 2c. Follow-ups that lean on the last turn ("how much is it?", "and refunds?")
+  // borrow the remembered topic or FAQ – "what about vouchers?" names a new one
+  const followUp = resolveFollowUp(message, topicSubject(memory, intentRouter.topics, kb), {
+    continuation: !topic || topic === memory?.name,
+  });
+  if (followUp) console.log(`↪️ Follow-up: "${message}" → "${followUp}"`);
+  const query = followUp || lower;
+
+  // ✅ 3. Ranked search across sales, support & general (biased by the widget's
+  // context, or the intent's when the widget didn't say, and by the topic)
+  const searchContext = context === "general" && routed?.action.context ? routed.action.context : context;
+  const focus = activeTopic(s)?.name;
+  const { decision, results } = searchFaqs(faqSet, query, lang.locale, {
+    context: searchContext,
+    prefer: focus ? topicIds.get(focus) : null,
+    boosts: feedbackStore.boosts(query),
+  });
 
-  if (!scored.length)
+  // ✅ 3a. Product mention without a clear FAQ → canned module intro
+  if (product && decision !== "auto") {
+    s.currentId = null;
     return {
-      reply: `🙁 I couldn’t find an exact match.<br><br>Would you like to <a href="/contact-us.html">contact sales</a> or <a href="/faqs.html">browse FAQs</a>?`,
+      reply: moduleReply(intentRouter, product.action.module),
       currentId: null,
+      source: "intent",
+      match: "intent",
+      intent: product.name,
+      followUp,
     };
+  }
+
+  if (decision === "none") {
+    if (pricing)
+      return {
+        reply: offerQuote(s, { builder: Boolean(quotes) }),
+        currentId: null,
+        source: "lead",
+        match: "quote",
+        followUp,
+      };
 
-  // ✅ 4. Auto-select 90% confidence
-  if (scored.length > 1) {
-    const top = scored[0].score;
-    const next = scored[1]?.score || 0;
-    const confidence = next ? top / next : 1;
-    if (confidence >= 1.9 || top >= 12) {
-      const entry = scored[0].f;
-      s.currentId = entry.id;
-      console.log(`🤖 Auto-selected: ${entry.title}`);
-      return { reply: showFAQ(entry), currentId: entry.id };
+    // ✅ 3b. Previously answered (hand-cached or generated) question
+    const cached = cachedAnswer(query, lang, tenant);
+    if (cached) return { ...cached, currentId: null, match: "cache", followUp };
+
+    // ✅ 3c. Fall back to passages from the cached website pages
+    if (features.pages) progress("pages");
+    const hits = features.pages ? searchPassages(passageIndex, query, rankingConfig.passages) : [];
+    if (hits.length) {
+      console.log(`📄 Page answer: ${hits[0].passage.url} (score ${hits[0].score})`);
+      return {
+        reply: passageAnswer(hits, rankingConfig.passages),
+        currentId: null,
+        source: "pages",
+        match: "pages",
+        followUp,
+      };
     }
+
+    // ✅ 3d. Grounded LLM answer
+    if (features.llm && llm) progress("llm");
+    const fallback = features.llm
+      ? await answerFallback(followUp || message, {
+          tenant: tenant.id,
+          context: searchContext,
+          lang,
+          faqSet,
+          pages: features.pages,
+          onToken,
+        })
+      : null;
+    if (fallback) return { ...fallback, currentId: null, match: "llm", followUp };
+
+    // A second miss in a row offers a person from the team
+    s.misses = missed + 1;
+    const offer = features.handoff && s.misses >= HANDOFF_AFTER_MISSES ? offerHandoff(s, lang) : null;
+    if (offer) s.misses = 0;
+    return {
+      reply: reply(
+        text(lang.t("noMatch")),
+        link(links.contact, lang.t("contactSales")),
+        link(links.faqs, lang.t("browseFaqs")),
+        offer
+      ),
+      currentId: null,
+      source: "none",
+      match: "none",
+      followUp,
+    };
   }
 
-  // ✅ 5. Single strong match
-  if (scored.length === 1) {
-    const entry = scored[0].f;
-    s.currentId = entry.id;
-    return { reply: showFAQ(entry), currentId: entry.id };
+  // ✅ 4. Confident match → show it (pricing questions get a quote offer instead
+  // when the best answer is not itself a sales entry)
+  if (pricing && results[0].entry.category !== "sales") {
+    return {
+      reply: offerQuote(s, { builder: Boolean(quotes) }),
+      currentId: null,
+      source: "lead",
+      match: "quote",
+      followUp,
+    };
+  }
+  if (decision === "auto") {
+    const entry = results[0].entry;
+    console.log(`🤖 Auto-selected: ${entry.title} (score ${results[0].score})`);
+    showTopicEntry(s, entry, topicIds);
+    return {
+      reply: enterNode(s, entry, lang),
+      currentId: entry.id,
+      source: "faq",
+      faqId: entry.id,
+      match: "auto",
+      followUp,
+    };
   }
 
-  // ✅ 6. Multiple matches → pill options
-  const trimmed = scored.slice(0, 8);
-  const options = trimmed.map((m) => ({ label: m.f.title }));
+  // ✅ 5. Several close matches → pill options
   return {
-    reply: { type: "options", intro: "🔍 I found several possible matches:", options },
+    reply: reply(text(lang.t("options")), options(results.map((m) => m.entry.title))),
     currentId: null,
+    source: "faq",
+    match: "options",
+    followUp,
   };
 }
 
 // ------------------------------------------------------
 // 🔗 API Routes
 // ------------------------------------------------------
-app.post("/api/chat", async (req, res) => {
-  const { message, currentId } = req.body;
-  const sessionId =
-    req.cookies.sessionId || Math.random().toString(36).substring(2, 10);
+const greeting = (tenant, locale) => {
+  const brand = { brand: tenant.name, botName: tenant.botName };
+  const own = tenantGreeting(tenant, locale);
+  return reply(text(own ? fill(own, brand) : localeStrings(locales, locale, brand).t("greeting")));
+};
+
+// ?format= / { format } – see lib/replies.js (defaults to the v15 widget HTML)
+function replyFormat(req) {
+  const format = req.body?.format || req.query.format || "html";
+  return REPLY_FORMATS.includes(format) ? format : null;
+}
 
+function setSessionCookie(res, sessionId) {
+  res.locals.sessionId = sessionId;
+  setLogSession(sessionId);
   res.cookie("sessionId", sessionId, {
     httpOnly: true,
     sameSite: "none",
     secure: true,
-    maxAge: 1000 * 60 * 30,
+    maxAge: sessionTtlMs,
   });
+}
+
+// 🛡️ Rate limits – the 429 carries a reply the widget can show like any other
+const limiters = createRateLimiters(limits, {
+  anonymiseIp,
+  onLimit: (req, res, retryAfter) => {
+    const locale =
+      matchLocale(locales, req.body?.locale) || detectLocale(locales, req.body?.message) || DEFAULT_LOCALE;
+    const notice = reply(text(localeStrings(locales, locale).t("rateLimited")));
+    res.status(429).json({
+      error: "Too many requests",
+      retryAfter,
+      reply: renderReply(notice, replyFormat(req) || "html"),
+      source: "system",
+    });
+  },
+});
+
+// ------------------------------------------------------
+// 💬 Chat turns – shared by the JSON and streaming routes
+// ------------------------------------------------------
+// What the visitor typed is redacted before it reaches the transcript log, and
+// so are the lead and contact form replies, which read their details back
+const loggableTurn = (turn) => ({
+  ...turn,
+  message: redact(turn.message),
+  followUp: redact(turn.followUp),
+  choice: redact(turn.choice),
+  reply: ["lead", "handoff"].includes(turn.source) ? redact(turn.reply) : turn.reply,
+});
+
+// The validated body, or { error: { status, error } }
+function readChatRequest(req) {
+  const { message, currentId, reset = false } = req.body;
+  const context = CATEGORIES.includes(req.body.context) ? req.body.context : "general";
+  const format = replyFormat(req);
+  if (!format) return { error: { status: 400, error: `format must be one of ${REPLY_FORMATS.join(", ")}` } };
+  // { locale: "es" } pins the language; without it each message is detected
+  const requested = req.body.locale;
+  if (requested !== undefined && requested !== null && !matchLocale(locales, requested))
+    return { error: { status: 400, error: `locale must be one of ${locales.codes.join(", ")}` } };
+  const problem = reset === true ? null : checkMessage(message, limits);
+  if (problem) return { error: problem };
+  return { message, currentId, reset: reset === true, context, format, requested };
+}
+
+// A chat turn holds its session from reading it to saving it, so the agent
+// messages delivered meanwhile (/api/chat/events) aren't lost
+const withSessionLock = createSessionLocks();
+const inSession = (req, fn) =>
+  withSessionLock(isValidSessionId(req.cookies.sessionId) ? req.cookies.sessionId : null, fn);
+
+// Unknown or expired ids get a fresh one rather than being adopted, and a
+// conversation stays with the site it started on
+async function openSession(req) {
+  const cookieId = req.cookies.sessionId;
+  const session = isValidSessionId(cookieId) ? await sessionStore.get(cookieId) : null;
+  if (session && (!session.tenant || session.tenant === req.tenant.id))
+    return { session, sessionId: cookieId };
+  const sessionId = newSessionId();
+  setLogSession(sessionId);
+  return { session: null, sessionId };
+}
+
+// ♻️ { reset: true } clears the conversation (as in v9.25) and greets again
+async function resetChat(req, { session, sessionId }, { requested }) {
+  const locale = matchLocale(locales, requested) || matchLocale(locales, session?.locale) || DEFAULT_LOCALE;
+  if (session) await sessionStore.destroy(sessionId);
+  const fresh = { createdAt: new Date().toISOString(), tenant: req.tenant.id, locale };
+  const freshId = newSessionId();
+  await sessionStore.set(freshId, fresh);
+  console.log("♻️ Session reset");
+  return {
+    session: fresh,
+    sessionId: freshId,
+    structured: greeting(req.tenant, locale),
+    currentId: null,
+    source: "system",
+    locale,
+  };
+}
+
+// One visitor message → the reply, saved to the session and transcript.
+// `events` ({ progress, onToken }) is passed through to handleChat.
+async function chatTurn(req, { session, sessionId }, chat, events = {}) {
+  const { message, currentId, context, requested } = chat;
+  session = session || { createdAt: new Date().toISOString() };
+  session.tenant = req.tenant.id;
+  const locale = resolveLocale(locales, session, { requested, message });
+  const result = await handleChat({
+    message,
+    session,
+    currentId,
+    context,
+    locale,
+    tenant: req.tenant,
+    ip: req.ip,
+    ...events,
+  });
+  const { reply: structured, currentId: newId, source, faqId, match, choice, intent, followUp } = result;
+  const turn = recordTurn(session, {
+    message,
+    reply: structured,
+    currentId: newId,
+    faqId,
+    source,
+    match,
+    choice,
+    intent,
+    topic: activeTopic(session)?.name,
+    followUp,
+  });
+  const meta = { tenant: req.tenant.id, context, locale };
+  transcriptLog.append(session.conversationId, loggableTurn(turn), meta);
+  chatReplies.inc({ source, match: match || "unknown" });
+  await sessionStore.set(sessionId, session);
+  return { session, sessionId, structured, currentId: newId, source, match, locale, turnId: turn.id };
+}
+
+app.post("/api/chat", limiters.perIp, limiters.perSession, async (req, res) => {
+  const chat = readChatRequest(req);
+  if (chat.error) return res.status(chat.error.status).json({ error: chat.error.error });
 
   try {
-    const { reply, currentId: newId } = await handleSalesFAQ(
-      message,
-      sessionId,
-      currentId
-    );
-    res.json({ reply, currentId: newId });
+    const done = await inSession(req, async () => {
+      const opened = await openSession(req);
+      return chat.reset ? resetChat(req, opened, chat) : chatTurn(req, opened, chat);
+    });
+    res.locals.outcome = { source: done.source, match: done.match };
+    setSessionCookie(res, done.sessionId);
+    res.json({
+      reply: renderReply(done.structured, chat.format),
+      currentId: done.currentId,
+      source: done.source,
+      locale: done.locale,
+      turnId: done.turnId || null,
+    });
   } catch (err) {
     console.error("❌ Chat error:", err);
     res.status(500).json({ error: "Chat unavailable" });
   }
 });
 
+// ------------------------------------------------------
+// 📡 Streaming chat – same body as /api/chat, answered as Server-Sent Events
+// (read it with fetch(); EventSource can only GET):
+//   typing  { stage: "thinking" | "pages" | "llm" }  – still working on it
+//   delta   { text }                 – the AI answer as it is written (draft)
+//   block   { index, block, content? } – each reply block (schema v1), plus
+//                                       content rendered in `format` unless blocks
+//   done    { reply, currentId, source, locale, turnId, session } – the whole reply
+//                                                  and where the conversation stands
+//   error   { error }
+// Validation errors and rate limits are answered as JSON before the stream opens.
+// ------------------------------------------------------
+function streamReply(stream, done, format) {
+  done.structured.blocks.forEach((block, index) => {
+    const content = format === "blocks" ? undefined : renderReply(reply(block), format);
+    stream.send("block", { index, block, content });
+  });
+  const { session } = done;
+  stream.send("done", {
+    reply: renderReply(done.structured, format),
+    currentId: done.currentId,
+    source: done.source,
+    locale: done.locale,
+    turnId: done.turnId || null,
+    session: {
+      conversationId: session.conversationId || null,
+      currentId: session.currentId || null,
+      topic: activeTopic(session)?.name || null,
+      flow: Boolean(session.flow),
+      lead: Boolean(session.lead),
+      quote: Boolean(session.quoteBuilder),
+    },
+  });
+}
+
+app.post("/api/chat/stream", limiters.perIp, limiters.perSession, async (req, res) => {
+  const chat = readChatRequest(req);
+  if (chat.error) return res.status(chat.error.status).json({ error: chat.error.error });
+
+  let stream = null;
+  try {
+    await inSession(req, async () => {
+      const opened = await openSession(req);
+      if (chat.reset) {
+        const done = await resetChat(req, opened, chat);
+        setSessionCookie(res, done.sessionId);
+        stream = openEventStream(res);
+        streamReply(stream, done, chat.format);
+        return stream.close();
+      }
+
+      // The cookie has to go out with the headers, before the reply exists
+      setSessionCookie(res, opened.sessionId);
+      stream = openEventStream(res);
+      stream.send("typing", { stage: "thinking" });
+      const done = await chatTurn(req, opened, chat, {
+        progress: (stage) => stream.send("typing", { stage }),
+        onToken: (token) => stream.send("delta", { text: token }),
+      });
+      res.locals.outcome = { source: done.source, match: done.match };
+      streamReply(stream, done, chat.format);
+      stream.close();
+    });
+  } catch (err) {
+    console.error("❌ Chat stream error:", err);
+    if (!stream) return res.status(500).json({ error: "Chat unavailable" });
+    stream.send("error", { error: "Chat unavailable" });
+    stream.close();
+  }
+});
+
+// ------------------------------------------------------
+// 🙋 Chat with our team – what the agent sends, as Server-Sent Events:
+//   message { reply, status }  – new messages in `format`; status is the
+//                                ticket's (waiting | active | closed)
+// The visitor answers through /api/chat as usual. The stream ends with the
+// chat; 404 when the session isn't talking to the team.
+// ------------------------------------------------------
+app.get("/api/chat/events", limiters.perIp, async (req, res) => {
+  const format = replyFormat(req);
+  if (!format) return res.status(400).json({ error: `format must be one of ${REPLY_FORMATS.join(", ")}` });
+
+  try {
+    const { session, sessionId } = await openSession(req);
+    const ticket = session?.handoff ? handoffQueue.get(session.handoff.ticketId) : null;
+    if (!ticket) return res.status(404).json({ error: "No chat with our team in progress" });
+
+    const lang = localeStrings(locales, session.locale);
+    const stream = openEventStream(res);
+    // Marks messages as seen on the session so /api/chat doesn't repeat them –
+    // after any chat turn in flight has saved it
+    const deliver = () =>
+      withSessionLock(sessionId, async () => {
+        const current = await sessionStore.get(sessionId);
+        if (!current?.handoff || current.handoff.ticketId !== ticket.id) return stream.close();
+        const blocks = unseenMessages(current, ticket, lang);
+        if (ticket.status === "closed") current.handoff = null;
+        await sessionStore.set(sessionId, current);
+        if (blocks.length)
+          stream.send("message", { reply: renderReply(reply(blocks), format), status: ticket.status });
+        if (ticket.status === "closed") stream.close();
+      });
+    const listener = (event) => {
+      if (event.ticket.id !== ticket.id) return;
+      deliver().catch((err) => console.error("❌ Handoff stream error:", err.message));
+    };
+    handoffQueue.events.on("ticket", listener);
+    res.on("close", () => handoffQueue.events.off("ticket", listener));
+    await deliver();
+  } catch (err) {
+    console.error("❌ Handoff stream error:", err);
+    if (!res.headersSent) res.status(500).json({ error: "Chat unavailable" });
+  }
+});
+
+// 💬 The embeddable chat widget (see public/widget.js for its data-* options)
+app.get("/widget.js", (req, res) =>
+  res.sendFile(path.join(__dirname, "public", "widget.js"), { maxAge: "1h" })
+);
+
+// 📜 Restore the conversation after a page navigation (never creates a session)
+app.get("/api/history", limiters.perIp, async (req, res) => {
+  const format = replyFormat(req);
+  if (!format) return res.status(400).json({ error: `format must be one of ${REPLY_FORMATS.join(", ")}` });
+
+  try {
+    const { session } = await openSession(req);
+    res.json({
+      conversationId: session?.conversationId || null,
+      currentId: session?.currentId || null,
+      turns: (session?.transcript || []).map((t) => ({ ...t, reply: renderReply(t.reply, format) })),
+    });
+  } catch (err) {
+    console.error("❌ History error:", err);
+    res.status(500).json({ error: "History unavailable" });
+  }
+});
+
+// 👍 { turnId, rating: "up" | "down", comment? } on one of this conversation's
+// replies (the latest when turnId is left out) – rating it again replaces it
+app.post("/api/feedback", limiters.perIp, async (req, res) => {
+  const { turnId, rating } = req.body || {};
+  const comment = typeof req.body?.comment === "string" ? req.body.comment.trim() : "";
+  if (!RATINGS.includes(rating))
+    return res.status(400).json({ error: `rating must be one of ${RATINGS.join(", ")}` });
+  if (comment.length > MAX_COMMENT)
+    return res.status(413).json({ error: `comment must be at most ${MAX_COMMENT} characters` });
+
+  try {
+    const { session } = await openSession(req);
+    const turns = session?.transcript || [];
+    const turn = turnId ? turns.find((t) => t.id === turnId) : turns[turns.length - 1];
+    if (!turn) return res.status(404).json({ error: "Reply not found in this conversation" });
+
+    const saved = feedbackStore.add({
+      conversationId: session.conversationId,
+      turnId: turn.id,
+      tenant: req.tenant.id,
+      faqId: turn.faqId ?? turn.currentId ?? null,
+      query: redact(turn.followUp || turn.message),
+      source: turn.source,
+      match: turn.match,
+      locale: session.locale || DEFAULT_LOCALE,
+      rating,
+      ...(comment ? { comment: redact(comment) } : {}),
+    });
+    if (!saved) return res.status(500).json({ error: "Feedback unavailable" });
+    const icon = rating === "up" ? "👍" : "👎";
+    console.log(`${icon} Feedback on ${saved.faqId || saved.source}: "${saved.query}"`);
+    res.status(201).json({ turnId: turn.id, rating });
+  } catch (err) {
+    console.error("❌ Feedback error:", err);
+    res.status(500).json({ error: "Feedback unavailable" });
+  }
+});
+
+app.use("/api/admin", requireAdmin);
+// FAQ editing for the default tenant's files at /api/admin, and for other
+// tenants' FAQ sets at /api/admin/tenants/:id
+const faqAdminRouter = (set) =>
+  createFaqAdminRouter({
+    baseDir: __dirname,
+    getKnowledgeBase: () => set.kb,
+    setKnowledgeBase: (next) => setKnowledgeBase(set, next),
+    search: (q, context) => searchIndex(set.faqIndex, q, { context }),
+  });
+app.use("/api/admin", faqAdminRouter(mainFaqs));
+for (const tenant of tenants.tenants) {
+  const set = faqSetFor(tenant);
+  if (set !== mainFaqs) app.use(`/api/admin/tenants/${tenant.id}`, faqAdminRouter(set));
+}
+
+app.get("/api/admin/tenants", (req, res) =>
+  res.json({
+    tenants: tenants.tenants.map((t) => ({
+      id: t.id,
+      name: t.name,
+      default: t.id === tenants.fallback.id,
+      origins: t.origins,
+      faqs: faqSetFor(t).kb.entries.length,
+      files: t.faqs.map((f) => f.file),
+      features: t.features,
+    })),
+    errors: tenants.errors,
+  })
+);
+
+app.use("/api/admin", createLeadAdminRouter({ leadStore }));
+app.use("/api/admin", createHandoffAdminRouter({ queue: handoffQueue, config: handoffConfig }));
+app.use("/api/admin", createTranscriptAdminRouter({ transcriptLog }));
+app.use(
+  "/api/admin",
+  createAnalyticsAdminRouter({
+    transcriptLog,
+    supportLogFile: path.join(__dirname, "support_log.jsonl"),
+    unmatchedFile: path.join(__dirname, "unmatched_faqs.log"),
+    getKnowledgeBase: () => mainFaqs.kb,
+  })
+);
+app.use("/api/admin", createFeedbackAdminRouter({ feedbackStore, getKnowledgeBase: () => mainFaqs.kb }));
+app.use("/api/admin", createPrivacyAdminRouter({ privacy: privacyService }));
+app.use(
+  "/api/admin",
+  createEvaluationAdminRouter({
+    setFile: path.join(__dirname, "evaluation.json"),
+    runsFile: path.join(__dirname, "evaluation_runs.jsonl"),
+    getKnowledgeBase: () => mainFaqs.kb,
+    rankingConfig,
+    transcriptLog,
+    supportLogFile: path.join(__dirname, "support_log.jsonl"),
+    unmatchedFile: path.join(__dirname, "unmatched_faqs.log"),
+  })
+);
+
+// Pick up a fresh `npm run crawl` without restarting
+app.post("/api/admin/pages/reload", (req, res) => {
+  loadPassages();
+  res.json({ pages: passageIndex.pages.length, passages: passageIndex.passages.length });
+});
+
+// 🎯 Which intents fire for ?q= (same output as `npm run intent`)
+app.get("/api/admin/intents", (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (!q) return res.status(400).json({ error: "q is required" });
+  res.json({ q, intents: detectIntents(intentRouter, q), errors: intentRouter.errors });
+});
+
+app.post("/api/admin/intents/reload", (req, res) => {
+  loadIntents();
+  res.json({ intents: intentRouter.intents.length, errors: intentRouter.errors });
+});
+
+// ------------------------------------------------------
+// 🚦 Readiness and metrics
+// ------------------------------------------------------
+// 503 while any tenant's FAQ files failed to load or are empty
+app.get("/ready", (req, res) => {
+  const checks = tenants.tenants.map((t) => {
+    const { kb } = faqSetFor(t);
+    return { tenant: t.id, faqs: kb.entries.length, problems: knowledgeBaseProblems(kb) };
+  });
+  const ready = checks.every((c) => !c.problems.length);
+  if (!ready) console.warn("🚦 Not ready:", checks.flatMap((c) => c.problems).join("; "));
+  res.status(ready ? 200 : 503).json({ ready, checks });
+});
+
+metrics.gauge("tappy_sessions_active", "Chat sessions that have not expired", () => sessionStore.size());
+metrics.gauge("tappy_chat_no_match_ratio", "Share of chat replies with no answer since start", () => {
+  const total = chatReplies.total();
+  return total ? Number((chatReplies.total({ match: "none" }) / total).toFixed(4)) : 0;
+});
+metrics.gauge("tappy_handoff_waiting", "Visitors waiting for our team", () => handoffQueue.waitingCount());
+metrics.gauge("tappy_faq_entries", "FAQ entries loaded per tenant", () =>
+  tenants.tenants.map((t) => ({ labels: { tenant: t.id }, value: faqSetFor(t).kb.entries.length }))
+);
+metrics.gauge("tappy_process_uptime_seconds", "Seconds since the server started", () =>
+  Math.round(process.uptime())
+);
+
+app.get("/metrics", requireMetricsToken, async (req, res) => {
+  res.type("text/plain; version=0.0.4").send(await metrics.render());
+});
+
 app.get("/", (req, res) =>
   res.json({
     status: "ok",
     version: "15.3a",
     mode: "Persistent currentId + Render-safe CORS",
-    faqs: faqSales.length,
+    faqs: mainFaqs.kb.entries.length,
+    faqsByCategory: mainFaqs.kb.counts,
+    faqErrors: mainFaqs.kb.errors.length,
+    tenants: tenants.tenants.map((t) => t.id),
+    pages: passageIndex.pages.length,
+    locales: locales.codes,
+    sessionStore: sessionStoreKind,
     time: new Date().toISOString(),
   })
 );
 
+// 🧯 Malformed or oversized JSON → a JSON error instead of Express's HTML page
+app.use((err, req, res, next) => {
+  if (err.type === "entity.too.large") return res.status(413).json({ error: "Request body too large" });
+  if (err.type === "entity.parse.failed") return res.status(400).json({ error: "Invalid JSON body" });
+  next(err);
+});
+
 // ------------------------------------------------------
 // 🚀 Start Server
 // ------------------------------------------------------
-app.listen(PORT, "0.0.0.0", () =>
+const server = app.listen(PORT, "0.0.0.0", () =>
   console.log(`🚀 Tappy Brain v15.3a running on port ${PORT}`)
 );
+
+// Flush file/SQLite sessions before exiting
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    console.log(`👋 ${signal} received, shutting down`);
+    server.close();
+    sessionStore.close().finally(() => process.exit(0));
+  });
+}
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createAnswerCache } from "../lib/answerCache.js";
+import { redactText } from "../lib/privacy.js";
+
+function withCache(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "answer-cache-"));
+  try {
+    return run(path.join(dir, "support_cache.json"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("questions are redacted before they are cached", () =>
+  withCache((file) => {
+    const cache = createAnswerCache({ file, redact: (text) => redactText(text) });
+    cache.set("Can jo@example.com reset the printer?", "Yes – from Settings.");
+    assert.doesNotMatch(fs.readFileSync(file, "utf8"), /jo@example\.com/);
+    assert.equal(cache.get("Can sam@example.com reset the printer?")?.answer, "Yes – from Settings.");
+  }));
+
+test("remove drops the matching entries and keeps the rest", () =>
+  withCache((file) => {
+    fs.writeFileSync(file, JSON.stringify({ "printer offline": "Check the cable." }));
+    const cache = createAnswerCache({ file });
+    cache.set("how do refunds work", "From the till.");
+    assert.equal(cache.remove((e) => !e.pinned), 1);
+    assert.equal(cache.get("how do refunds work"), null);
+    assert.equal(cache.get("printer offline")?.pinned, true);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, "utf8"))), ["printer offline"]);
+  }));
+
+test("generated answers belong to the tenant they were written for", () =>
+  withCache((file) => {
+    fs.writeFileSync(file, JSON.stringify({ "printer offline": "Check the cable." }));
+    const cache = createAnswerCache({ file, defaultTenant: "rstepos" });
+    cache.set("how do refunds work", "From the till.", { tenant: "iwantfed" });
+    cache.set("how do refunds work", "From the back office.", { tenant: "rstepos" });
+    assert.equal(cache.get("how do refunds work", { tenant: "iwantfed" })?.answer, "From the till.");
+    assert.equal(cache.get("how do refunds work", { tenant: "rstepos" })?.answer, "From the back office.");
+    assert.equal(cache.get("how do refunds work", { tenant: "giveavoucher" }), null);
+    assert.equal(cache.get("printer offline", { tenant: "rstepos" })?.pinned, true);
+    assert.equal(cache.get("printer offline", { tenant: "iwantfed" }), null);
+
+    const reloaded = createAnswerCache({ file, defaultTenant: "rstepos" });
+    assert.equal(reloaded.get("how do refunds work", { tenant: "iwantfed" })?.answer, "From the till.");
+  }));
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadCatalogue, buildQuote, quoteTotals } from "../lib/catalogue.js";
+
+function load(raw) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "catalogue-"));
+  const file = path.join(dir, "catalogue.json");
+  fs.writeFileSync(file, JSON.stringify(raw));
+  try {
+    return loadCatalogue(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("an unknown currency falls back to GBP", () => {
+  const catalogue = load({ currency: "GPB", products: [{ id: "a", name: "A", per: "till", oneOff: 10 }] });
+  assert.equal(catalogue.currency, "GBP");
+  assert.match(catalogue.errors.join("\n"), /GPB/);
+  assert.equal(quoteTotals(buildQuote(catalogue, { venueType: "Retail" })), "£10.00 one-off");
+});
+
+test("a bad price is quoted as 0", () => {
+  const catalogue = load({ products: [{ id: "a", name: "A", per: "till", oneOff: "949", monthly: -5 }] });
+  assert.deepEqual(catalogue.products.map((p) => [p.oneOff, p.monthly]), [[0, 0]]);
+  assert.equal(catalogue.errors.length, 2);
+});
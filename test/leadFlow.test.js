@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handleLeadMessage } from "../lib/leadFlow.js";
+
+const submit = () => ({ duplicate: false });
+
+const details = {
+  name: "Jo",
+  company: "Jo’s Bar",
+  email: "jo@example.com",
+  phone: "07700 900123",
+  venueType: "Bar / Pub",
+  sites: 2,
+  comments: "",
+};
+
+// A lead at "which detail would you like to change?"
+const editing = () => ({ lead: { kind: "quote", step: "edit", data: { ...details } } });
+
+test("edit step picks the most specific field named", () => {
+  const cases = {
+    "number of sites": "sites",
+    "the number of sites please": "sites",
+    "company name": "company",
+    "business name": "company",
+    "business type": "venueType",
+    "venue type": "venueType",
+    "type": "venueType",
+    "phone number": "phone",
+    "my number": "phone",
+    "e-mail": "email",
+    "Email address": "email",
+    "my name": "name",
+  };
+  for (const [input, field] of Object.entries(cases)) {
+    const session = editing();
+    handleLeadMessage(session, input, submit);
+    assert.equal(session.lead.step, field, `"${input}"`);
+    assert.equal(field in session.lead.data, false, `"${input}" clears ${field}`);
+  }
+});
+
+test("edit step only matches whole words", () => {
+  const session = editing();
+  handleLeadMessage(session, "typewriter", submit);
+  assert.equal(session.lead.step, "edit");
+});
+
+test("keeping a mistyped email still validates it", () => {
+  const session = { lead: { kind: "quote", step: "email", data: { name: "Jo", company: "Jo’s Bar" } } };
+  handleLeadMessage(session, "jo@gmail", submit);
+  assert.ok(session.lead.pendingEmail, "suggests a correction");
+  handleLeadMessage(session, "no", submit);
+  assert.equal(session.lead.step, "email");
+  assert.equal("email" in session.lead.data, false);
+
+  handleLeadMessage(session, "jo@example.com", submit);
+  assert.equal(session.lead.data.email, "jo@example.com");
+  assert.equal(session.lead.step, "phone");
+});
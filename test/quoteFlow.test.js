@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadCatalogue } from "../lib/catalogue.js";
+import { loadLocales, localeStrings } from "../lib/i18n.js";
+import { startQuoteBuilder, handleQuoteBuilder } from "../lib/quoteFlow.js";
+
+const catalogue = loadCatalogue(new URL("../catalogue.json", import.meta.url));
+const locales = loadLocales(new URL("../locales", import.meta.url).pathname);
+const said = (r) => r.blocks.map((b) => b.text || b.html || "").join("\n");
+
+test("the quote builder talks in the visitor’s language", () => {
+  const lang = localeStrings(locales, "es", { brand: "RST EPOS" });
+  const session = {};
+  assert.match(said(startQuoteBuilder(session, catalogue, lang)), /tipo de local/);
+  assert.match(said(handleQuoteBuilder(session, "no sé", catalogue, lang)), /Elige un tipo de local/);
+  handleQuoteBuilder(session, "Restaurant", catalogue, lang);
+  handleQuoteBuilder(session, "2", catalogue, lang);
+  assert.match(said(handleQuoteBuilder(session, "1", catalogue, lang)), /menos cajas que locales/);
+  handleQuoteBuilder(session, "3", catalogue, lang);
+  const quote = handleQuoteBuilder(session, "✅ Eso es todo", catalogue, lang);
+  assert.match(said(quote), /2 locales · 3 cajas/);
+  assert.match(said(quote), /al mes/);
+  assert.deepEqual(quote.blocks.at(-1).labels, { yes: "Sí", no: "No" });
+  assert.match(said(handleQuoteBuilder(session, "no", catalogue, lang)), /RST EPOS/);
+});
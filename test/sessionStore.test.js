@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore, createSessionLocks } from "../lib/sessionStore.js";
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test("writes to one session wait for the one in flight", async () => {
+  // A store handing out copies, as the sqlite one does
+  const memory = createMemoryStore();
+  const store = {
+    get: async (id) => structuredClone(await memory.get(id)),
+    set: (id, data) => memory.set(id, structuredClone(data)),
+  };
+  await store.set("a", { turns: 0, seen: 0 });
+  const withSession = createSessionLocks();
+
+  const turn = withSession("a", async () => {
+    const session = await store.get("a");
+    await tick(); // waiting on the reply
+    session.turns++;
+    await store.set("a", session);
+  });
+  const delivery = withSession("a", async () => {
+    const session = await store.get("a");
+    session.seen++;
+    await store.set("a", session);
+  });
+  await Promise.all([turn, delivery]);
+  assert.deepEqual(await store.get("a"), { turns: 1, seen: 1 });
+});
+
+test("a failed run doesn't hold up the next, and other sessions don't wait", async () => {
+  const withSession = createSessionLocks();
+  const order = [];
+  const failed = withSession("a", async () => {
+    await tick();
+    throw new Error("boom");
+  });
+  const other = withSession("b", async () => order.push("b"));
+  const next = withSession("a", async () => order.push("a"));
+  await assert.rejects(failed, /boom/);
+  await Promise.all([other, next]);
+  assert.deepEqual(order, ["b", "a"]);
+});